@@ -0,0 +1,233 @@
+/**
+ * @module assets
+ * @description
+ * Resolves where the editor loads its third-party assets from: the Choices.js dropdown
+ * library, the web fonts stylesheet and html2pdf.js. Each asset has a list of URLs that
+ * are tried in order, a CDN first and then a path on the editor's own server, so a
+ * self-hosted editor keeps working on machines without internet access.
+ *
+ * The local paths are relative to the editor page. The files are not part of the editor and
+ * have to be copied there (see vendor/README.md):
+ * - `vendor/choices/choices.min.js` and `vendor/choices/choices.min.css` (from the
+ *   `public/assets` folder of the choices.js package).
+ * - `vendor/html2pdf/html2pdf.bundle.min.js` (from the `dist` folder of html2pdf.js).
+ * - `vendor/fonts/fonts.css`, a stylesheet with `@font-face` rules for the web fonts. It is
+ *   requested with the same query as the Google Fonts stylesheet, which it may ignore.
+ *
+ * A URL that neither loads nor fails within `loadTimeout` is given up on, so a CDN that
+ * does not answer cannot stall the editor. When no URL of an asset loads, `assetEvents`
+ * fires `unavailable`, naming the self-hosted files that are missing.
+ *
+ * The lists can be replaced in the page, before the editor's modules run, with a JSON
+ * element `<script type="application/json" id="assetConfig">`, or later with
+ * `configureAssets`. An empty list turns an asset off.
+ *
+ * Exports:
+ * - `configureAssets`: Replaces the URLs of one or more assets.
+ * - `assetUrls`: Lists the URLs an asset is tried from, resolved against the editor page.
+ * - `loadScript`: Loads a script from the first URL that works.
+ * - `linkStylesheet`: Links a stylesheet from the first URL that works.
+ * - `assetEvents`: Event target that fires `unavailable` when an asset loads from no URL.
+ *
+ * @example
+ * <script type="application/json" id="assetConfig">
+ *     {"choicesScript": ["vendor/choices/choices.min.js"], "webFonts": []}
+ * </script>
+ *
+ * import { assetUrls, loadScript } from './assets.js';
+ *
+ * await loadScript(assetUrls('choicesScript'));
+ */
+
+import {debugLog, setDebug} from "./debugLog.js";
+
+// Disable debug logging by default.
+// Call setDebug(true) externally to enable.
+setDebug(false);
+
+const mkErr = (msg) => {
+    throw new Error(`[Assets] ${msg}`);
+};
+
+/** URLs each asset is tried from, in order.
+ * @type {Object<string, string[]>} */
+const assetSources = {
+    choicesScript: [
+        'https://cdn.jsdelivr.net/npm/choices.js/public/assets/scripts/choices.min.js',
+        'vendor/choices/choices.min.js'
+    ],
+    choicesStyles: [
+        'https://cdn.jsdelivr.net/npm/choices.js/public/assets/styles/choices.min.css',
+        'vendor/choices/choices.min.css'
+    ],
+    html2pdf: [
+        'https://cdnjs.cloudflare.com/ajax/libs/html2pdf.js/0.10.1/html2pdf.bundle.min.js',
+        'vendor/html2pdf/html2pdf.bundle.min.js'
+    ],
+    webFonts: [
+        'https://fonts.googleapis.com/css2',
+        'vendor/fonts/fonts.css'
+    ]
+};
+
+/** How long one URL may take to load before the next is tried, in ms. */
+const loadTimeout = 10000;
+
+/**
+ * Fires `unavailable` when an asset loads from none of its URLs. The event's `detail` has
+ * the `urls` tried and the `missing` self-hosted files among them, relative to the page.
+ *
+ * @type {EventTarget}
+ */
+export const assetEvents = new EventTarget();
+
+/**
+ * Waits for a script or link element to load, giving up after `loadTimeout`.
+ *
+ * @param {HTMLScriptElement|HTMLLinkElement} element
+ * @param {function(): void} start - Starts the request, e.g. by adding the element to the document.
+ * @returns {Promise<boolean>} Whether the element loaded in time.
+ */
+function whenLoaded(element, start) {
+    return new Promise(resolve => {
+        const finish = (loaded) => {
+            clearTimeout(timer);
+            element.onload = element.onerror = null;
+            resolve(loaded);
+        };
+        const timer = setTimeout(() => finish(false), loadTimeout);
+        element.onload = () => finish(true);
+        element.onerror = () => finish(false);
+        start();
+    });
+}
+
+/**
+ * Fires `unavailable` for URLs none of which loaded, after checking which of the
+ * self-hosted ones are missing from the server.
+ *
+ * @param {string[]} urls
+ */
+async function reportUnavailable(urls) {
+    const pageFolder = new URL('.', document.baseURI).href;
+    const missing = [];
+
+    for (const url of urls.filter(url => new URL(url).origin === location.origin)) {
+        let found = false;
+        try {
+            found = (await fetch(url, {method: 'HEAD'})).ok;
+        } catch {
+            // The server cannot be asked, e.g. for a page opened from a file
+        }
+        if (found) continue;
+
+        const file = url.split('?')[0];
+        missing.push(file.startsWith(pageFolder) ? file.slice(pageFolder.length) : file);
+    }
+
+    assetEvents.dispatchEvent(new CustomEvent('unavailable', {detail: {urls, missing}}));
+}
+
+/**
+ * Replaces the URLs of one or more assets. Assets already loaded are not reloaded.
+ *
+ * @param {Object<string, string|string[]>} sources - URLs keyed by asset name.
+ * @throws {Error} If an asset name is unknown or a URL is not a non-empty string.
+ */
+export function configureAssets(sources) {
+    if (typeof sources !== 'object' || sources === null || Array.isArray(sources)) {
+        mkErr(`Asset configuration must be an object of URL lists keyed by asset name.`);
+    }
+
+    for (const [name, urls] of Object.entries(sources)) {
+        if (!Object.hasOwn(assetSources, name)) {
+            mkErr(`Unknown asset "${name}". Known assets: ${Object.keys(assetSources).join(', ')}.`);
+        }
+        const list = [urls].flat();
+        if (!list.every(url => typeof url === 'string' && url.trim())) {
+            mkErr(`URLs for "${name}" must be non-empty strings (got: ${JSON.stringify(urls)}).`);
+        }
+        assetSources[name] = list;
+        debugLog(`Asset "${name}" loads from: ${list.join(', ') || 'nowhere'}`);
+    }
+}
+
+/**
+ * Lists the URLs an asset is tried from, resolved against the editor page.
+ *
+ * @param {string} name - An asset name, e.g. `choicesScript`.
+ * @returns {string[]}
+ * @throws {Error} If the asset name is unknown.
+ */
+export function assetUrls(name) {
+    if (!Object.hasOwn(assetSources, name)) mkErr(`Unknown asset "${name}".`);
+    return assetSources[name].map(url => new URL(url, document.baseURI).href);
+}
+
+/**
+ * Loads a script from the first of `urls` that loads.
+ *
+ * @param {string|string[]} urls - URLs to try, in order.
+ * @param {Document} [doc=document] - The document to load the script into.
+ * @returns {Promise<string>} The URL the script was loaded from.
+ * @throws {Error} If the script cannot be loaded from any of the URLs in time.
+ */
+export async function loadScript(urls, doc = document) {
+    for (const url of [urls].flat()) {
+        const script = doc.createElement('script');
+        script.src = url;
+
+        if (await whenLoaded(script, () => doc.head.appendChild(script))) {
+            debugLog(`Script loaded from ${url}`);
+            return url;
+        }
+        script.remove();
+        debugLog(`Script failed to load from ${url}`);
+    }
+
+    reportUnavailable([urls].flat());
+    mkErr(`Could not load a script from: ${[urls].flat().join(', ') || 'no URL configured'}.`);
+}
+
+/**
+ * Links a stylesheet from the first of `urls` that loads. A stylesheet whose `id` is
+ * already in the document is left as it is.
+ *
+ * @param {string|string[]} urls - URLs to try, in order.
+ * @param {Document} [doc=document] - The document to link the stylesheet into.
+ * @param {string} [id] - ID of the link element.
+ * @returns {Promise<?HTMLLinkElement>} The link, or null if no URL loaded. Never rejects,
+ *          since the editor still works with the browser's default styles.
+ */
+export async function linkStylesheet(urls, doc = document, id) {
+    const existing = id && doc.getElementById(id);
+    if (existing) return existing;
+
+    for (const url of [urls].flat()) {
+        const link = Object.assign(doc.createElement('link'), {rel: 'stylesheet'});
+        if (id) link.id = id;
+
+        link.href = url;
+
+        if (await whenLoaded(link, () => doc.head.appendChild(link))) {
+            debugLog(`Stylesheet loaded from ${url}`);
+            return link;
+        }
+        link.remove();
+        debugLog(`Stylesheet failed to load from ${url}`);
+    }
+
+    console.warn(`[Assets] Could not load a stylesheet from: ${[urls].flat().join(', ') || 'no URL configured'}.`);
+    reportUnavailable([urls].flat());
+    return null;
+}
+
+// Apply the page's asset configuration before any asset is requested
+const configElement = document.getElementById('assetConfig');
+if (configElement) {
+    try {
+        configureAssets(JSON.parse(configElement.textContent));
+    } catch (error) {
+        console.error("Ignoring invalid asset configuration:", error);
+    }
+}
@@ -1,20 +1,26 @@
 /**
  * @module choicesLoader
  * @description
- * Dynamically loads the Choices.js library from a CDN and exposes a Promise that resolves
- * once the library is available. Also provides access to the loaded `Choices` constructor.
+ * Dynamically loads the Choices.js library and exposes a Promise that resolves once the
+ * library is available. Also provides access to the loaded `Choices` constructor.
+ *
+ * The library is loaded from the URLs of the `choicesScript` asset (see assets.js): a CDN
+ * first, then a self-hosted copy. If none loads, `choicesLoaded` rejects and `Choices` stays
+ * undefined; the controls then offer their lists as plain `<select>` elements.
  *
  * Includes debug logging for script loading status using `debugLog`.
  *
  * @example
- * import { choicesLoaded, Choices } from './choicesLoader.js';
+ * import { choicesLoaded, Choices, addChoicesStylesheet } from './choicesLoader.js';
  *
  * await choicesLoaded;
+ * addChoicesStylesheet();
  * const element = document.querySelector('#my-select');
  * const choicesInstance = new Choices(element, { removeItemButton: true });
  */
 
 import {debugLog, setDebug} from "./debugLog.js";
+import {assetUrls, linkStylesheet, loadScript} from "./assets.js";
 
 // Disable debug logging by default.
 // Call setDebug(true) externally to enable.
@@ -34,29 +40,25 @@ let Choices;
  *
  * @throws {Error} If the script fails to load or the `Choices` constructor is not found.
  */
-const choicesLoaded = new Promise((resolve, reject) => {
-    const script = document.createElement('script');
-    script.src = 'https://cdn.jsdelivr.net/npm/choices.js/public/assets/scripts/choices.min.js';
-
-    script.onload = () => {
-        Choices = window.Choices;
-
-        if (Choices) {
-            debugLog("Choices.js loaded successfully.");
-            resolve();
-        } else {
-            debugLog("Choices.js script loaded, but 'window.Choices' is undefined.");
-            reject(new Error("Choices failed to initialize."));
-        }
-    };
-
-    script.onerror = () => {
-        debugLog("Choices.js script failed to load.");
-        reject(new Error("Failed to load Choices.js"));
-    };
+const choicesLoaded = loadScript(assetUrls('choicesScript')).then(url => {
+    Choices = window.Choices;
 
-    document.head.appendChild(script);
-    debugLog("Choices.js script tag appended to document head.");
+    if (Choices) {
+        debugLog(`Choices.js loaded successfully from ${url}.`);
+    } else {
+        debugLog("Choices.js script loaded, but 'window.Choices' is undefined.");
+        throw new Error("Choices failed to initialize.");
+    }
+}, error => {
+    debugLog("Choices.js script failed to load.");
+    throw new Error(`Failed to load Choices.js. ${error.message}`);
 });
 
-export {choicesLoaded, Choices};
+/**
+ * Links the Choices.js stylesheet into the editor page, once.
+ */
+function addChoicesStylesheet() {
+    linkStylesheet(assetUrls('choicesStyles'), document, 'choicesStylesheet');
+}
+
+export {choicesLoaded, Choices, addChoicesStylesheet};
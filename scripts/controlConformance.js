@@ -0,0 +1,279 @@
+/**
+ * @module controlConformance
+ * @description
+ * Checks that style controls keep the contract the editor relies on. Every style control
+ * generator, built in or registered with `registerControl`, is run through the same checks:
+ *
+ * - The control is an element whose ID and `data-control` name its selector, property and type.
+ * - It has the shared properties (`value`, `label`, `asString`, `cssPair`, `cssSelector`,
+ *   `cssParameter`, `cssDeclaration`, `locked`) and the `reset` and `setDefaults` methods.
+ *   Controls that hold something outside their element, such as a Choices.js dropdown,
+ *   may also have a `destroy` method that releases it.
+ * - Setting `value` fires a bubbling `change` event and changes the CSS it produces.
+ * - Locking disables every input, select and button of the control, also those rebuilt
+ *   when the value is set while locked, and the padlock toggles the lock with a `change` event.
+ * - `reset` restores the value given to `setDefaults`.
+ * - Invalid defaults throw an error starting with the control's prefix, e.g. `[Color Control]`.
+ *
+ * The checks need a DOM and the loaded control assets (`controlsReady`). `npm test` runs
+ * them under jsdom (see test/controlConformance.test.js); they also run in the browser console:
+ *
+ * ```js
+ * import { controlsReady } from './scripts/controls.js';
+ * import { checkControls } from './scripts/controlConformance.js';
+ *
+ * await controlsReady;
+ * console.table(checkControls());
+ * ```
+ *
+ * Exports:
+ * - `builtInSamples`: Sample settings for each built-in style control type.
+ * - `checkControl`: Runs the checks on one control type.
+ * - `checkControls`: Runs the checks on every registered style control type.
+ *
+ * @example
+ * import { checkControl } from './controlConformance.js';
+ *
+ * const failures = checkControl('TextDecoration', {
+ *     property: 'text-decoration',
+ *     defaults: {value: 'none'},
+ *     other: 'underline',
+ *     invalid: {value: 'blinking'}
+ * });
+ */
+
+import {debugLog, setDebug} from "./debugLog.js";
+import {generateControl, getControlInfo, listControlTypes} from "./controls.js";
+import {generateID} from "./controlUtils.js";
+
+// Disable debug logging by default.
+// Call setDebug(true) externally to enable.
+setDebug(false);
+
+/**
+ * Settings a control type is checked with.
+ *
+ * @typedef {Object} ConformanceSample
+ * @property {string} [selector='body'] - Selector the control is generated for.
+ * @property {string} property - CSS property the control is generated for.
+ * @property {Object} defaults - Valid `setDefaults` parameters.
+ * @property {any} other - A valid value that differs from `defaults.value`.
+ * @property {Object} invalid - `setDefaults` parameters that must be refused.
+ */
+
+/** Properties every style control defines. */
+const contractProperties = ['value', 'label', 'asString', 'cssPair', 'cssSelector', 'cssParameter', 'cssDeclaration', 'locked'];
+
+/** Sample settings for each built-in style control type.
+ * @type {Object<string, ConformanceSample>} */
+export const builtInSamples = Object.freeze({
+    Background: {
+        property: 'background',
+        defaults: {value: {mode: 'color', color: '#ffffff'}},
+        other: {mode: 'linear', angle: 90, stops: [{color: '#ffffff', position: 0}, {color: '#336699', position: 100}]},
+        invalid: {value: {mode: 'pattern'}}
+    },
+    Border: {
+        property: 'border',
+        defaults: {value: {width: 0, style: 'none', color: '#000000', radius: 0}, linked: true},
+        other: {width: 2, style: 'solid', color: '#000000', radius: 4},
+        invalid: {value: {width: 2, style: 'wavy', color: '#000000', radius: 0}}
+    },
+    BoxModel: {
+        property: 'margin',
+        defaults: {units: 'em', value: [1, 0], linked: false},
+        other: [2, 1],
+        invalid: {units: 'furlongs', value: [1]}
+    },
+    Color: {
+        property: 'color',
+        defaults: {value: '#000000'},
+        other: '#336699',
+        invalid: {value: 'not-a-color'}
+    },
+    FontFamily: {
+        property: 'font-family',
+        defaults: {value: 'serif'},
+        other: 'monospace',
+        invalid: {value: 'serif; color: red'}
+    },
+    FontSize: {
+        property: 'font-size',
+        defaults: {units: 'px', min: 8, max: 40, value: 16},
+        other: 20,
+        invalid: {units: 'px', min: 8, max: 40, value: 80}
+    },
+    FontWeight: {
+        property: 'font-weight',
+        defaults: {value: 'normal', fontStyle: 'normal'},
+        other: 'bold',
+        invalid: {value: 'heavy'}
+    },
+    Keyword: {
+        property: 'text-align',
+        defaults: {options: ['left', 'center', 'right'], value: 'left'},
+        other: 'center',
+        invalid: {options: ['left', 'center'], value: 'right'}
+    },
+    Length: {
+        property: 'text-indent',
+        defaults: {units: 'em', value: 0},
+        other: 2,
+        invalid: {units: 'cubits', value: 0}
+    },
+    LetterSpacing: {
+        property: 'letter-spacing',
+        defaults: {units: 'em', min: 0, max: 0.3, value: 0.05},
+        other: 0.1,
+        invalid: {units: 'em', min: 0.3, max: 0, value: 0.05}
+    },
+    LineHeight: {
+        property: 'line-height',
+        defaults: {units: '', min: 1, max: 3, value: 1.6},
+        other: 2,
+        invalid: {units: '', min: 1, max: 3, value: 5}
+    },
+    Shadow: {
+        property: 'text-shadow',
+        defaults: {value: []},
+        other: [{x: 1, y: 1, blur: 2, color: '#000000', alpha: 0.5}],
+        invalid: {value: 'drop'}
+    }
+});
+
+/**
+ * Runs the contract checks on one control type.
+ *
+ * The control is generated in a detached container, which is removed again afterwards.
+ *
+ * @param {string} controlType - A registered style control type.
+ * @param {ConformanceSample} sample - The settings to check the control with.
+ * @returns {string[]} A description of each failed check; empty if the control conforms.
+ */
+export function checkControl(controlType, sample) {
+    const failures = [];
+    const fail = (msg) => failures.push(msg);
+    const {selector = 'body', property, defaults, other, invalid} = sample;
+    const prefix = `[${controlType} Control]`;
+
+    if (getControlInfo(controlType)?.use !== 'style') return [`"${controlType}" is not a registered style control.`];
+
+    const container = document.createElement('div');
+    container.hidden = true;
+    document.body.appendChild(container);
+
+    try {
+        let control;
+        try {
+            control = generateControl(controlType, selector, property);
+        } catch (error) {
+            return [`Generating the control threw: ${error.message}`];
+        }
+        if (!(control instanceof HTMLElement)) return [`The generator did not return an element.`];
+        container.appendChild(control);
+
+        // Identity
+        if (control.id !== generateID(selector, property)) fail(`id is "${control.id}", expected "${generateID(selector, property)}".`);
+        if (control.dataset.control !== controlType) fail(`data-control is "${control.dataset.control}", expected "${controlType}".`);
+
+        // Shared properties and methods
+        const missing = contractProperties.filter(name => !(name in control));
+        if (missing.length) fail(`Missing properties: ${missing.join(', ')}.`);
+        for (const method of ['reset', 'setDefaults']) {
+            if (typeof control[method] !== 'function') fail(`${method} is not a function.`);
+        }
+        if (missing.length || typeof control.setDefaults !== 'function') return failures;
+
+        if (control.cssSelector !== selector) fail(`cssSelector is "${control.cssSelector}", expected "${selector}".`);
+        if (control.cssParameter !== property) fail(`cssParameter is "${control.cssParameter}", expected "${property}".`);
+        if (!control.cssDeclaration.startsWith(property)) fail(`cssDeclaration "${control.cssDeclaration}" does not set ${property}.`);
+
+        control.label = 'Conformance';
+        if (control.label !== 'Conformance') fail(`label reads "${control.label}" after being set to "Conformance".`);
+
+        // Defaults
+        try {
+            control.setDefaults(structuredClone(defaults), true);
+        } catch (error) {
+            fail(`Valid defaults were refused: ${error.message}`);
+            return failures;
+        }
+        const defaultCss = control.asString;
+        const defaultValue = JSON.stringify(control.value);
+
+        // Setting the value
+        let events = 0;
+        const count = () => events++;
+        container.addEventListener('change', count);
+        control.value = structuredClone(other);
+        if (!events) fail(`Setting value fired no bubbling change event.`);
+        if (control.asString === defaultCss) fail(`Setting value to ${JSON.stringify(other)} did not change asString ("${defaultCss}").`);
+
+        // Reset
+        control.reset();
+        if (JSON.stringify(control.value) !== defaultValue) {
+            fail(`reset restored ${JSON.stringify(control.value)}, expected ${defaultValue}.`);
+        }
+
+        // Locking
+        control.locked = true;
+        if (control.locked !== true) fail(`locked reads ${control.locked} after being set to true.`);
+        const enabledParts = () => [...control.querySelectorAll('input, select, button, textarea')].filter(el => !el.disabled);
+        const enabled = enabledParts();
+        if (enabled.length) fail(`Locking left ${enabled.length} part(s) enabled, e.g. #${enabled[0].id || enabled[0].localName}.`);
+
+        // Controls that rebuild parts for a new value must keep them disabled
+        control.value = structuredClone(other);
+        const reenabled = enabledParts();
+        if (reenabled.length) {
+            fail(`Setting value while locked left ${reenabled.length} part(s) enabled, e.g. #${reenabled[0].id || reenabled[0].localName}.`);
+        }
+        control.locked = false;
+
+        const padlock = control.querySelector('[data-locked]');
+        if (padlock) {
+            events = 0;
+            padlock.dispatchEvent(new Event('click'));
+            if (control.locked !== true) fail(`Clicking the padlock did not lock the control.`);
+            if (!events) fail(`Clicking the padlock fired no change event.`);
+            control.locked = false;
+        } else {
+            fail(`No padlock found.`);
+        }
+        container.removeEventListener('change', count);
+
+        // Invalid defaults
+        try {
+            control.setDefaults(structuredClone(invalid));
+            fail(`Invalid defaults ${JSON.stringify(invalid)} were accepted.`);
+        } catch (error) {
+            if (!error.message.startsWith(prefix)) {
+                fail(`Invalid defaults threw "${error.message}", which does not start with "${prefix}".`);
+            }
+        }
+    } finally {
+        container.remove();
+    }
+
+    debugLog(`Checked ${controlType}: ${failures.length} failure(s).`);
+    return failures;
+}
+
+/**
+ * Runs the contract checks on every registered style control type. Types without a
+ * sample are reported as failures, so a new control is not left unchecked.
+ *
+ * @param {Object<string, ConformanceSample>} [samples={}] - Samples for control types
+ *        registered with `registerControl`, added to {@link builtInSamples}.
+ * @returns {Object<string, string[]>} The failed checks of each control type.
+ */
+export function checkControls(samples = {}) {
+    const allSamples = {...builtInSamples, ...samples};
+
+    return Object.fromEntries(listControlTypes({use: 'style'}).map(controlType => [
+        controlType,
+        allSamples[controlType]
+            ? checkControl(controlType, allSamples[controlType])
+            : [`No conformance sample for "${controlType}".`]
+    ]));
+}
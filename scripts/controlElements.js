@@ -0,0 +1,390 @@
+/**
+ * @module controlElements
+ * @description
+ * Custom element versions of the style controls, so they can be written in HTML or used
+ * from other frameworks:
+ *
+ * ```html
+ * <style-font-size selector="h1" property="font-size" min="8" max="80" units="px" value="32"></style-font-size>
+ * ```
+ *
+ * Each element builds the control from its `generate*Control` function once the control
+ * assets have loaded, and keeps it as its only child. The functions themselves are unchanged.
+ *
+ * Attributes:
+ * - `selector`, `property` and `media` (`screen` unless given) name what the control styles.
+ * - `label` and `locked` set the control's label and lock. Like the boolean schema fields,
+ *   `locked` is on when present, unless its value is `false`.
+ * - Every field of the control type's schema (see `getControlInfo`), written in kebab case,
+ *   e.g. `units`, `min`, `options` or `contrast-with`. Numbers and booleans are parsed, and
+ *   list or object fields are written as JSON. They are passed to the control's `setDefaults`;
+ *   changing `value` also resets the control to it, like the `value` attribute of an input.
+ * - `name`, the field name used when the element is in a form.
+ *
+ * Every attribute is reflected by a property of the same name in camel case. The `value`
+ * property is the control's current value; the `value` attribute is reflected by `defaultValue`.
+ *
+ * The elements fire `input` and `change` events of their own, one per kind in each task,
+ * instead of letting those of the control's parts through. They are form-associated: a form
+ * submits the control's CSS value (`asString`) under `name`, resets the control, and disables
+ * it through a disabled fieldset.
+ *
+ * Elements are defined for every style control type when this module is imported, and for
+ * style control types registered later with `registerControl`.
+ *
+ * Exports:
+ * - `elementName`: Returns the tag name of a control type's element.
+ * - `defineControlElements`: Defines an element for every style control type not yet defined.
+ *
+ * @example
+ * import { elementName } from './controlElements.js';
+ *
+ * const size = document.createElement(elementName('FontSize'));
+ * size.setAttribute('selector', 'h1');
+ * size.setAttribute('property', 'font-size');
+ * size.addEventListener('change', () => console.log(size.value));
+ * document.body.append(size);
+ */
+
+import {debugLog, setDebug} from "./debugLog.js";
+import {controlsReady, controlTypesChanged, generateControl, getControlInfo, listControlTypes} from "./controls.js";
+import {generateID, reassignID} from "./controlUtils.js";
+import {readControlSettings} from "./styleTemplates.js";
+
+// Disable debug logging by default.
+// Call setDebug(true) externally to enable.
+setDebug(false);
+
+/** Attributes every control element has, besides its schema fields. */
+const commonAttributes = ['selector', 'property', 'media', 'label', 'locked', 'name'];
+
+/** Attributes that rename the control rather than change its defaults. */
+const idAttributes = ['selector', 'property', 'media'];
+
+const kebabCase = name => name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+const camelCase = name => name.replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+
+/**
+ * Returns the tag name of a control type's element.
+ *
+ * @param {string} controlType - A key from `ControlTypes`, e.g. `FontSize`.
+ * @returns {string} The tag name, e.g. `style-font-size`.
+ */
+export function elementName(controlType) {
+    return `style${kebabCase(controlType)}`;
+}
+
+/**
+ * Reads an attribute as the type its schema field expects.
+ *
+ * @param {string} text - The attribute value.
+ * @param {Object} [spec] - The field's schema entry, if it has one.
+ * @returns {any}
+ * @throws {SyntaxError} If a list or object field is not valid JSON.
+ */
+function parseAttribute(text, spec = {}) {
+    if (spec.enum || spec.type === 'string') return text;
+    if (spec.type === 'number' || spec.type === 'numeric') return Number(text);
+    if (spec.type === 'boolean') return text !== 'false';
+    if (spec.type === 'object') return JSON.parse(text);
+
+    // Without a schema type, take JSON values (numbers, lists, objects) and otherwise text
+    try {
+        return JSON.parse(text);
+    } catch {
+        return text;
+    }
+}
+
+/**
+ * Creates the element class for a style control type.
+ *
+ * @param {string} controlType - A key from `ControlTypes`.
+ * @returns {CustomElementConstructor}
+ */
+function controlElementClass(controlType) {
+    const schema = getControlInfo(controlType).schema ?? {};
+    const fields = {...schema.properties};
+    for (const key of schema.required ?? []) fields[key] ??= {};
+
+    const fieldAttributes = Object.keys(fields).map(kebabCase);
+    const fieldSpecs = Object.fromEntries(Object.entries(fields).map(([key, spec]) => [kebabCase(key), spec]));
+
+    class ControlElement extends HTMLElement {
+        static formAssociated = true;
+        static observedAttributes = [...commonAttributes, ...fieldAttributes];
+
+        /** The control built by the generator.
+         * @type {?HTMLDivElement} */
+        #control = null;
+        #internals = this.attachInternals();
+        /** Event types waiting to be fired by the element. */
+        #pending = new Set();
+        #disabled = false;
+
+        connectedCallback() {
+            this.#scheduleBuild();
+        }
+
+        attributeChangedCallback(name, oldValue, newValue) {
+            if (!this.#control) {
+                if (idAttributes.includes(name) && this.hasAttribute('selector') && this.hasAttribute('property')) {
+                    this.#scheduleBuild();
+                }
+                return;
+            }
+            if (oldValue === newValue) return;
+
+            if (idAttributes.includes(name)) {
+                reassignID(this.#control, this.#controlID());
+                this.#control.dataset.media = this.media;
+            } else if (name === 'label') {
+                this.#control.label = newValue ?? '';
+            } else if (name === 'locked') {
+                this.#control.locked = this.#disabled || this.locked;
+            } else if (name !== 'name') {
+                this.#applyDefaults(name === 'value');
+            }
+        }
+
+        formResetCallback() {
+            this.#control?.reset();
+        }
+
+        formDisabledCallback(disabled) {
+            this.#disabled = disabled;
+            if (this.#control) this.#control.locked = disabled || this.locked;
+        }
+
+        formStateRestoreCallback(state) {
+            if (this.#control && state) this.#control.value = JSON.parse(state);
+        }
+
+        /** The control built by the generator, or null until it has been built.
+         * @returns {?HTMLDivElement} */
+        get control() {
+            return this.#control;
+        }
+
+        /** The control's current value. */
+        get value() {
+            return this.#control ? this.#control.value : this.defaultValue;
+        }
+
+        set value(value) {
+            if (this.#control) {
+                this.#control.value = value;
+            } else {
+                this.defaultValue = value;
+            }
+        }
+
+        /** The `value` attribute, parsed like the other schema fields. */
+        get defaultValue() {
+            return this.#field('value');
+        }
+
+        set defaultValue(value) {
+            this.#reflect('value', value);
+        }
+
+        /** @returns {string} The control's value as CSS, or '' until it has been built. */
+        get asString() {
+            return this.#control?.asString ?? '';
+        }
+
+        /** @returns {string} The control's CSS declaration, or '' until it has been built. */
+        get cssDeclaration() {
+            return this.#control?.cssDeclaration ?? '';
+        }
+
+        /** @returns {?Object} The selector, property and media the control styles. */
+        get cssPair() {
+            return this.#control?.cssPair ?? null;
+        }
+
+        get form() {
+            return this.#internals.form;
+        }
+
+        get type() {
+            return this.localName;
+        }
+
+        /** Resets the control to its default value. */
+        reset() {
+            this.#control?.reset();
+        }
+
+        /** @returns {'screen'|'print'} */
+        get media() {
+            return this.getAttribute('media') || 'screen';
+        }
+
+        set media(media) {
+            this.setAttribute('media', media);
+        }
+
+        /** @returns {string} The control's ID, from the selector, property and media. */
+        #controlID() {
+            const selector = this.getAttribute('selector');
+            const property = this.getAttribute('property');
+            return this.media === 'screen'
+                ? generateID(selector, property)
+                : generateID(selector, property, this.media);
+        }
+
+        /** Builds the control once the control assets have loaded. */
+        #scheduleBuild() {
+            controlsReady.then(() => this.#build(), error => {
+                console.warn(`[ControlElement] <${this.localName}> cannot be built: ${error.message}`);
+            });
+        }
+
+        /** Builds the control once the selector and property are known. */
+        #build() {
+            if (this.#control || !this.isConnected) return;
+
+            const selector = this.getAttribute('selector');
+            const property = this.getAttribute('property');
+            if (!selector || !property) {
+                console.warn(`[ControlElement] <${this.localName}> needs selector and property attributes.`);
+                return;
+            }
+
+            const control = generateControl(controlType, selector, property);
+            if (this.media !== 'screen') reassignID(control, this.#controlID());
+            control.dataset.media = this.media;
+            // Some controls fire change on themselves without bubbling, so listen on the control
+            for (const type of ['input', 'change']) {
+                control.addEventListener(type, event => this.#forward(event));
+            }
+            this.#control = control;
+            this.replaceChildren(control);
+
+            this.#applyDefaults(true);
+            if (this.hasAttribute('label')) control.label = this.getAttribute('label');
+            control.locked = this.#disabled || this.locked;
+            this.#updateFormValue();
+            debugLog(`Built <${this.localName}> for ${control.id}`);
+        }
+
+        /**
+         * Passes the schema fields given as attributes to the control's `setDefaults`, with
+         * the control's current settings for those that are not.
+         *
+         * @param {boolean} withReset - Whether the control is reset to the new defaults.
+         */
+        #applyDefaults(withReset) {
+            const {type, label, locked, ...settings} = readControlSettings(this.#control);
+            try {
+                for (const attribute of fieldAttributes) {
+                    if (this.hasAttribute(attribute)) settings[camelCase(attribute)] = this.#field(attribute);
+                }
+                this.#control.setDefaults(settings, withReset);
+            } catch (error) {
+                console.warn(`[ControlElement] <${this.localName}> ${error.message}`);
+            }
+            this.#updateFormValue();
+        }
+
+        /** Reads a schema field attribute. */
+        #field(attribute) {
+            const text = this.getAttribute(attribute);
+            return text === null ? null : parseAttribute(text, fieldSpecs[attribute]);
+        }
+
+        /** Writes a property to its attribute; null removes it and booleans toggle it. */
+        #reflect(attribute, value) {
+            if (value === null || value === undefined || value === false) {
+                this.removeAttribute(attribute);
+            } else if (value === true) {
+                this.setAttribute(attribute, '');
+            } else {
+                this.setAttribute(attribute, typeof value === 'object' ? JSON.stringify(value) : String(value));
+            }
+        }
+
+        #updateFormValue() {
+            if (!this.#control) return;
+            this.#internals.setFormValue(this.#control.asString, JSON.stringify(this.#control.value));
+        }
+
+        /**
+         * Stops the events of the control's parts and fires one of the element's own instead.
+         * A control may fire several events for one edit (its own and its inputs'), so events
+         * of the same type within a task are merged.
+         *
+         * @param {Event} event
+         */
+        #forward(event) {
+            event.stopPropagation();
+
+            if (this.#pending.has(event.type)) return;
+            this.#pending.add(event.type);
+            queueMicrotask(() => {
+                this.#pending.delete(event.type);
+                if (this.#control) {
+                    this.#updateFormValue();
+                    if (this.#control.locked !== this.locked && !this.#disabled) {
+                        this.locked = this.#control.locked; // Padlock clicked
+                    }
+                }
+                this.dispatchEvent(new Event(event.type, {bubbles: true, composed: true}));
+            });
+        }
+    }
+
+    // Reflect every attribute through a property of the same name
+    for (const attribute of ControlElement.observedAttributes) {
+        const property = camelCase(attribute);
+        if (property === 'value' || property === 'media') continue;
+
+        const isBoolean = attribute === 'locked' || fieldSpecs[attribute]?.type === 'boolean';
+        Object.defineProperty(ControlElement.prototype, property, {
+            get() {
+                if (isBoolean) return this.hasAttribute(attribute) && this.getAttribute(attribute) !== 'false';
+                if (!fieldSpecs[attribute]) return this.getAttribute(attribute) ?? '';
+
+                const text = this.getAttribute(attribute);
+                return text === null ? null : parseAttribute(text, fieldSpecs[attribute]);
+            },
+            set(value) {
+                if (isBoolean && value) {
+                    this.setAttribute(attribute, ''); // Also replaces a value of "false"
+                } else if (isBoolean) {
+                    this.removeAttribute(attribute);
+                } else if (value === null || value === undefined) {
+                    this.removeAttribute(attribute);
+                } else {
+                    this.setAttribute(attribute, typeof value === 'object' ? JSON.stringify(value) : String(value));
+                }
+            },
+            configurable: true
+        });
+    }
+    Object.defineProperty(ControlElement, 'name', {value: `${controlType}Element`});
+    return ControlElement;
+}
+
+/**
+ * Defines an element for every style control type that does not have one yet.
+ *
+ * @param {CustomElementRegistry} [registry=customElements]
+ * @returns {Object<string, CustomElementConstructor>} The classes defined, keyed by tag name.
+ */
+export function defineControlElements(registry = customElements) {
+    const defined = {};
+    for (const controlType of listControlTypes({use: 'style'})) {
+        const name = elementName(controlType);
+        if (registry.get(name)) continue;
+
+        defined[name] = controlElementClass(controlType);
+        registry.define(name, defined[name]);
+    }
+    debugLog("Defined control elements:", Object.keys(defined));
+    return defined;
+}
+
+defineControlElements();
+controlTypesChanged.addEventListener('change', () => defineControlElements());
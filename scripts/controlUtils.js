@@ -7,8 +7,11 @@
  * assignment, and padlock SVG styling.
  *
  * Exports:
- * - `generateID`: Combines a selector and parameter into a single ID string.
- * - `splitID`: Extracts selector and parameter from a compound ID.
+ * - `generateID`: Combines selectors, parameters and optional media into a single ID string.
+ * - `splitID`: Extracts selectors, parameters and media from a compound ID.
+ * - `reassignID`: Changes a control's ID along with the IDs and references of its parts.
+ * - `cssDeclarationsOf`: Lists the property/value pairs a control sets, per selector.
+ * - `defineControlProperties`: Adds the properties every style control shares to a control.
  * - `assignProps`: Applies both properties and styles to a DOM element.
  * - `padlockStyles`: Default inline styles for padlock icons used in controls.
  *
@@ -29,32 +32,229 @@ const padlockStyles = {
 /** Delimiter used in generateID and splitID */
 const delimiter = '-_-';
 
+/** Delimiter between the selectors (or parameters) of a control that sets several */
+const listDelimiter = '-+-';
+
+/** Media assumed when an ID does not name one */
+const defaultMedia = 'screen';
+
 /**
  * Returns a joined string of a CSS selector and parameter.
+ * A control that styles several selectors (or sets several parameters) is given a list.
+ * A media other than the default (`screen`) is appended as a third part.
  *
- * @param {string} selector - A valid CSS selector.
- * @param {string} parameter - A valid CSS parameter.
+ * @param {string|string[]} selector - A valid CSS selector, or a list of them.
+ * @param {string|string[]} parameter - A valid CSS parameter, or a list of them.
+ * @param {string} [media='screen'] - The media type the value applies to, e.g. `print`.
  * @returns {string}
  */
-function generateID(selector, parameter) {
-    return selector + delimiter + parameter;
-
+function generateID(selector, parameter, media = defaultMedia) {
+    const ID = [selector].flat().join(listDelimiter) + delimiter + [parameter].flat().join(listDelimiter);
+    return media === defaultMedia ? ID : ID + delimiter + media;
 }
 
 /**
- * Splits a delimited string into selector and parameter parts.
+ * Splits a delimited string into selector, parameter and media parts.
+ *
+ * `selector` joins all selectors into one selector list (e.g. `h1, h2`), and `parameter`
+ * is the first parameter; `selectors` and `parameters` hold every part.
  *
  * @param {string} ID - The combined ID string to split.
- * @returns {{selector: string, parameter: string}}
+ * @returns {{selector: string, parameter: string, media: string, selectors: string[], parameters: string[]}}
  */
 function splitID(ID) {
     const split = ID.split(delimiter);
+    const selectors = split[0].split(listDelimiter);
+    const parameters = (split[1] ?? '').split(listDelimiter);
     return {
-        selector: split[0],
-        parameter: split[1]
+        selector: selectors.join(', '),
+        parameter: parameters[0],
+        media: split[2] ?? defaultMedia,
+        selectors,
+        parameters
     };
 }
 
+/**
+ * A single CSS property/value pair set by a control.
+ *
+ * @typedef {Object} CssDeclaration
+ * @property {string} [selector] - Selector the pair applies to. Defaults to each of the control's selectors.
+ * @property {string} property - CSS property name.
+ * @property {string} value - CSS value.
+ */
+
+/**
+ * Splits a `property: value` declaration string into its parts.
+ *
+ * @param {string} declaration
+ * @returns {CssDeclaration}
+ */
+function parseDeclaration(declaration) {
+    const colon = declaration.indexOf(':');
+    return {property: declaration.slice(0, colon).trim(), value: declaration.slice(colon + 1).trim()};
+}
+
+/**
+ * Lists the property/value pairs a control sets, one entry per selector they apply to.
+ *
+ * Controls that set several properties list them in `cssDeclarations`; all other controls
+ * provide a single `cssDeclaration` string.
+ *
+ * @param {HTMLElement} control - A style control.
+ * @returns {Array<{selector: string, property: string, value: string}>}
+ */
+function cssDeclarationsOf(control) {
+    const {selectors} = splitID(control.id);
+
+    /** @type {CssDeclaration[]} */
+    const declarations = control.cssDeclarations ?? [parseDeclaration(control.cssDeclaration)];
+
+    return declarations.flatMap(({selector, property, value}) =>
+        (selector ? [selector] : selectors).map(target => ({selector: target, property, value})));
+}
+
+/**
+ * Changes the ID of a control, renaming the IDs of its parts that were derived from the
+ * old ID and updating the `for` and `list` attributes that refer to them.
+ *
+ * @param {Element} element - The control's root element.
+ * @param {string} newID - The new ID.
+ */
+function reassignID(element, newID) {
+    const oldID = element.id;
+    const renamed = value => value.startsWith(oldID) ? newID + value.slice(oldID.length) : value;
+
+    for (const part of [element, ...element.querySelectorAll('[id], [for], [list]')]) {
+        for (const attr of ['id', 'for', 'list']) {
+            const value = part.getAttribute(attr);
+            if (value) part.setAttribute(attr, renamed(value));
+        }
+    }
+}
+
+/**
+ * Adds the properties every style control shares, so each control only defines its
+ * `value`, `reset` and `setDefaults` (and any properties of its own):
+ *
+ * - `label`: The text at the start of the label element.
+ * - `asString`: The CSS value; `${div.value}` unless the control gives its own.
+ * - `cssPair`, `cssSelector`, `cssParameter`: What the control styles, read from its ID.
+ * - `cssDeclarations`: Only if the control sets several properties and gives them.
+ * - `cssDeclaration`: The declaration(s) the control sets, as one string.
+ * - `locked`: Kept in the padlock's `data-locked` attribute. Locking disables every input,
+ *   select, button and textarea of the control and dims the label.
+ *
+ * Clicking the padlock toggles `locked` and fires a bubbling `change` event.
+ *
+ * @param {HTMLDivElement} div - The control's root element.
+ * @param {Object} parts
+ * @param {HTMLLabelElement} parts.label - The label whose first text node is the label text.
+ * @param {SVGElement} parts.padlock - The control's padlock.
+ * @param {HTMLElement[]} [parts.dimmed=[label]] - Elements dimmed while the control is locked.
+ * @param {function(): string} [parts.asString] - Returns the CSS value.
+ * @param {function(): CssDeclaration[]} [parts.cssDeclarations] - Returns the property/value
+ *        pairs of a control that sets several properties.
+ * @param {function(boolean): void} [parts.onLock] - Called after the lock changed, for parts
+ *        whose state depends on more than the lock.
+ */
+function defineControlProperties(div, {label, padlock, dimmed = [label], asString, cssDeclarations, onLock}) {
+    Object.defineProperty(div, 'label', {
+        /** Get label text
+         * @returns {string} */
+        get() {
+            if (label.firstChild && label.firstChild.nodeType === Node.TEXT_NODE) {
+                return label.firstChild.textContent;
+            }
+            return '';
+        },
+        /** Set label text
+         * @param {string} text */
+        set(text) {
+            if (label.firstChild && label.firstChild.nodeType === Node.TEXT_NODE) {
+                label.firstChild.textContent = text;
+            } else {
+                label.insertBefore(document.createTextNode(text), label.firstChild);
+            }
+        }
+    });
+
+    Object.defineProperty(div, 'asString', {
+        /** Get value of control set
+         * @returns {string} */
+        get: asString ?? (() => `${div.value}`)
+    });
+
+    Object.defineProperty(div, 'cssPair', {
+        /** Get Object containing CSS selector and parameter
+         * @returns {{selector: string, parameter: string}} */
+        get() {
+            return splitID(div.id);
+        }
+    });
+
+    Object.defineProperty(div, 'cssSelector', {
+        /** Get CSS Selector value
+         * @returns {string} */
+        get() {
+            return div.cssPair.selector;
+        }
+    });
+
+    Object.defineProperty(div, 'cssParameter', {
+        /** Get CSS Parameter value
+         * @returns {string} */
+        get() {
+            return div.cssPair.parameter;
+        }
+    });
+
+    if (cssDeclarations) {
+        Object.defineProperty(div, 'cssDeclarations', {
+            /** Get the property/value pairs this control sets
+             * @returns {CssDeclaration[]} */
+            get: cssDeclarations
+        });
+    }
+
+    Object.defineProperty(div, 'cssDeclaration', {
+        /** Get CSS Declaration value; all declarations as one string if there are several
+         * @returns {string} */
+        get() {
+            return cssDeclarations
+                ? div.cssDeclarations.map(({property, value}) => `${property}: ${value}`).join('; ')
+                : `${div.cssPair.parameter}: ${div.asString}`;
+        }
+    });
+
+    Object.defineProperty(div, 'locked', {
+        /** Get lock state of control set
+         * @returns {boolean} */
+        get() {
+            return padlock.getAttribute('data-locked') === 'true';
+        },
+        /** Set lock state for control set
+         * @param {boolean} value */
+        set(value) {
+            padlock.setAttribute('data-locked', value.toString());
+
+            for (const el of div.querySelectorAll('input, select, button, textarea')) {
+                el.disabled = div.locked;
+            }
+            for (const el of dimmed) {
+                el.style.opacity = div.locked ? '0.5' : '1';
+                el.style.pointerEvents = div.locked ? 'none' : 'auto';
+            }
+            onLock?.(div.locked);
+        }
+    });
+
+    padlock.addEventListener("click", () => {
+        div.locked = !div.locked;
+        div.dispatchEvent(new Event('change', {bubbles: true}));
+    });
+}
+
 /**
  * Assign properties and CSS styles to a DOM element.
  *
@@ -91,6 +291,9 @@ function assignProps(element, props = {}, styles = {}) {
 export {
     generateID,
     splitID,
+    reassignID,
+    cssDeclarationsOf,
+    defineControlProperties,
     assignProps,
     padlockStyles,
 };
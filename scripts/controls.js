@@ -10,11 +10,16 @@ setDebug(false);
  * A Promise that resolves when all necessary control dependencies have loaded.
  * Use this to await before using any control-generating functions.
  *
+ * Choices.js is optional: if it cannot be loaded the controls fall back to plain
+ * `<select>` elements, so only a missing padlock rejects this promise.
+ *
  * @type {Promise<void>}
  */
 export const controlsReady = Promise.all([
     padlockLoaded,
-    choicesLoaded,
+    choicesLoaded.catch(error => {
+        console.warn(`${error.message} Dropdowns are shown as plain lists.`);
+    }),
 ]).then(() => {
     // Ready to generate controls
 });
@@ -27,14 +32,27 @@ export const controlsReady = Promise.all([
  * @returns {DocumentFragment} The generated control DOM fragment.
  */
 
+/**
+ * Calls a generator with the arguments given to `generateControl`, after checking them.
+ *
+ * @callback CallPattern
+ * @param {ControlGenerator} generator - The generator to call.
+ * @param {any[]} args - The arguments given to `generateControl` after the control type.
+ * @param {string} controlType - The control type, for error messages.
+ * @returns {any} The generated control.
+ */
+
+/** Control type names: capitalized identifiers, as in the generator names. */
+const controlNamePattern = /^[A-Z][a-zA-Z0-9]*$/;
+
 /**
  * Registry mapping short control type names (e.g. "FontSize")
- * to their corresponding generator functions.
+ * to their generator functions and metadata.
  *
- * @type {Object<string, ControlGenerator>}
+ * @type {Map<string, {generator: ControlGenerator, use: string, schema: ?Object, builtIn: boolean}>}
  * @private
  */
-const generatorRegistry = Object.fromEntries(
+const generatorRegistry = new Map(
     Object.entries(generators)
         .filter(([fnName, fn]) =>
             typeof fn === "function" &&
@@ -42,14 +60,50 @@ const generatorRegistry = Object.fromEntries(
         )
         .map(([fnName, fn]) => {
             const shortName = fnName.replace(/^generate/, "").replace(/Control$/, "");
-            return [shortName, fn];
+            return [shortName, {generator: fn, use: fn.use, schema: fn.schema ?? null, builtIn: true}];
         })
 );
 
-debugLog("Registered control generators:", generatorRegistry);
+debugLog("Registered control generators:", [...generatorRegistry.keys()]);
+
+/**
+ * Call patterns keyed by `.use` type, telling `generateControl` how to call a generator.
+ *
+ * @type {Map<string, {call: CallPattern, builtIn: boolean}>}
+ * @private
+ */
+const callPatterns = new Map(Object.entries({
+    style: (generator, [cssSelector, cssParameter], controlType) => {
+        // A control styling several selectors is given them as a list
+        const selectors = [cssSelector].flat();
+        if (!selectors.length || !selectors.every(selector => typeof selector === 'string' && selector.length)) {
+            throw new Error(`'style' generator for "${controlType}" requires a cssSelector (string or string[]) as first argument.`);
+        }
+        if (typeof cssParameter !== 'string' || !cssParameter.length) {
+            throw new Error(`'style' generator for "${controlType}" requires a cssParameter (string) as second argument.`);
+        }
+        return generator(cssSelector, cssParameter);
+    },
+
+    control: (generator, [id], controlType) => {
+        if (typeof id !== 'string' || !id.length) {
+            throw new Error(`'control' generator for "${controlType}" requires an id (string) as its single argument.`);
+        }
+        return generator(id);
+    },
+}).map(([use, call]) => [use, {call, builtIn: true}]));
+
+/**
+ * Fires `change` whenever a control type is registered, e.g. so custom elements can be
+ * defined for it.
+ *
+ * @type {EventTarget}
+ */
+export const controlTypesChanged = new EventTarget();
 
 /**
- * An immutable enum-like object containing all valid control type strings.
+ * A live, read-only enum-like object containing all valid control type strings,
+ * including those registered with {@link registerControl}.
  * These correspond to the available generator functions.
  *
  * Example:
@@ -57,46 +111,163 @@ debugLog("Registered control generators:", generatorRegistry);
  * import { ControlTypes } from './controls.js';
  *
  * console.log(ControlTypes.FontSize); // "FontSize"
+ * console.log(Object.values(ControlTypes)); // Every registered type
  * ```
  *
  * @readonly
  * @enum {string}
  */
-export const ControlTypes = Object.freeze(
-    Object.fromEntries(
-        Object.keys(generators)
-            .filter(fnName => /^generate[A-Z][a-zA-Z0-9]*Control$/.test(fnName))
-            .map(fnName => {
-                const shortName = fnName.replace(/^generate/, '').replace(/Control$/, '');
-                return [shortName, shortName];
-            })
-    )
-);
+export const ControlTypes = new Proxy(Object.create(null), {
+    get: (target, name) => generatorRegistry.has(name) ? name : undefined,
+    has: (target, name) => generatorRegistry.has(name),
+    ownKeys: () => [...generatorRegistry.keys()],
+    getOwnPropertyDescriptor: (target, name) => generatorRegistry.has(name)
+        ? {value: name, writable: false, enumerable: true, configurable: true}
+        : undefined,
+    set: () => false,
+    defineProperty: () => false,
+    deleteProperty: () => false,
+});
+
+/**
+ * Lists the registered control types.
+ *
+ * @param {Object} [filter={}]
+ * @param {string} [filter.use] - Only list the types with this `.use` value, e.g. `style`.
+ * @param {boolean} [filter.builtIn] - Only list the built-in types (true) or the registered ones (false).
+ * @returns {string[]}
+ */
+export function listControlTypes({use, builtIn} = {}) {
+    return [...generatorRegistry]
+        .filter(([, entry]) => (use === undefined || entry.use === use) &&
+            (builtIn === undefined || entry.builtIn === builtIn))
+        .map(([name]) => name);
+}
+
+/**
+ * Describes a registered control type without creating a control.
+ *
+ * `schema` is a small JSON-Schema-like description of the template entry fields the
+ * control's `setDefaults` accepts: `required` lists mandatory fields and `properties`
+ * maps field names to `{type, enum, minimum, maximum}` constraints. Besides the `typeof`
+ * names, `type` may be `numeric`: a number or a numeric string.
+ *
+ * @param {string} controlType - A key from {@link ControlTypes}.
+ * @returns {?{use: string, schema: ?Object, builtIn: boolean}} The generator metadata, or null if the type is unknown.
+ */
+export function getControlInfo(controlType) {
+    const entry = generatorRegistry.get(controlType);
+    if (!entry) return null;
+
+    return {use: entry.use, schema: entry.schema, builtIn: entry.builtIn};
+}
+
+/**
+ * Registers a control type so `generateControl`, template entries and the custom elements
+ * can use it, without changing scripts/controls/index.js.
+ *
+ * The metadata defaults to the generator's own `.use` and `.schema` properties, as on the
+ * built-in generators. A name already in use is refused: built-in types can never be
+ * replaced, and a registered type only with `replace: true`. Style controls should build on
+ * `defineControlProperties` (controlUtils.js) and pass `checkControl` (controlConformance.js).
+ *
+ * @param {string} name - The control type, a capitalized identifier such as `TextDecoration`.
+ * @param {ControlGenerator} generator - Builds the control; called as its `use` pattern says.
+ * @param {Object} [options={}]
+ * @param {string} [options.use=generator.use] - A call pattern name, e.g. `style`.
+ * @param {?Object} [options.schema=generator.schema] - Template entry fields accepted by `setDefaults`.
+ * @param {boolean} [options.replace=false] - Whether a type registered earlier may be replaced.
+ * @returns {string} The control type, for use with {@link generateControl}.
+ *
+ * @throws {Error} If the name is invalid or taken, the generator is not a function, or the
+ *                 `use` value has no call pattern.
+ *
+ * @example
+ * registerControl('TextDecoration', generateTextDecorationControl, {use: 'style', schema: {required: ['value']}});
+ * generateControl('TextDecoration', 'a', 'text-decoration');
+ */
+export function registerControl(name, generator, {use = generator?.use, schema = generator?.schema ?? null, replace = false} = {}) {
+    if (typeof name !== 'string' || !controlNamePattern.test(name)) {
+        throw new Error(`Invalid control name "${name}": use a capitalized identifier such as "TextDecoration".`);
+    }
+    if (typeof generator !== 'function') {
+        throw new Error(`Generator for control "${name}" must be a function.`);
+    }
+    if (!callPatterns.has(use)) {
+        throw new Error(`Unsupported 'use' type "${use}" for control "${name}". Known: ${[...callPatterns.keys()].join(', ')}.`);
+    }
+    if (schema !== null && (typeof schema !== 'object' || Array.isArray(schema))) {
+        throw new Error(`Schema for control "${name}" must be an object.`);
+    }
+
+    const existing = generatorRegistry.get(name);
+    if (existing?.builtIn) {
+        throw new Error(`Control "${name}" is built in and cannot be replaced.`);
+    }
+    if (existing && !replace) {
+        throw new Error(`Control "${name}" is already registered. Pass {replace: true} to replace it.`);
+    }
+
+    generatorRegistry.set(name, {generator, use, schema, builtIn: false});
+    debugLog(`Registered control "${name}" (use: ${use}).`);
+    controlTypesChanged.dispatchEvent(new Event('change'));
+    return name;
+}
+
+/**
+ * Adds a `.use` type that generators can be registered with, and how `generateControl`
+ * calls them. The built-in patterns are `style` and `control`.
+ *
+ * @param {string} use - The `.use` value, e.g. `page`.
+ * @param {CallPattern} call - Checks the arguments and calls the generator.
+ *
+ * @throws {Error} If `use` is not a non-empty string, `call` is not a function, or `use`
+ *                 already has a call pattern.
+ *
+ * @example
+ * registerCallPattern('page', (generator, [id, title], controlType) => {
+ *     if (typeof id !== 'string') throw new Error(`'page' generator for "${controlType}" requires an id.`);
+ *     return generator(id, title ?? '');
+ * });
+ */
+export function registerCallPattern(use, call) {
+    if (typeof use !== 'string' || !use.length) {
+        throw new Error(`Call pattern name must be a non-empty string (got ${JSON.stringify(use)}).`);
+    }
+    if (typeof call !== 'function') {
+        throw new Error(`Call pattern "${use}" must be a function.`);
+    }
+    if (callPatterns.has(use)) {
+        throw new Error(`Call pattern "${use}" is ${callPatterns.get(use).builtIn ? 'built in' : 'already registered'}.`);
+    }
+
+    callPatterns.set(use, {call, builtIn: false});
+    debugLog(`Registered call pattern "${use}".`);
+}
 
 /**
  * Dynamically generates a UI control using a registered control generator.
  *
- * Generator functions must be registered in `generatorRegistry` using the keys found
- * in {@link ControlTypes}. Each generator must include a `.use` metadata property
- * that tells this dispatcher how to call it:
+ * Generator functions are found by the keys in {@link ControlTypes}, which include the
+ * types added with {@link registerControl}. Each generator has a `.use` value that tells
+ * this dispatcher how to call it:
  *
  * - `use: "style"`  → generator signature: `(cssSelector, cssParameter, labelText)`
  * - `use: "control"` → generator signature: `(id)`
  *
- * The dispatcher is extensible: add new entries to `callPatterns` to support
- * additional `.use` types and their expected argument patterns.
+ * Further `.use` types and their argument patterns can be added with {@link registerCallPattern}.
  *
  * @function generateControl
  * @param {string} controlType - A key from {@link ControlTypes} naming the generator to call.
  * @param {...any} args - Arguments to pass through to the generator. The expected arguments
  *                        depend on the generator's `.use` value:
- *                        - If `.use === "style"`: `(cssSelector, cssParameter, labelText)`
+ *                        - If `.use === "style"`: `(cssSelector, cssParameter, labelText)`, where
+ *                          `cssSelector` may be a list of selectors the control styles
  *                        - If `.use === "control"`: `(id)`
  * @returns {any} The value returned by the generator (usually a DocumentFragment).
  *
  * @throws {Error} If `controlType` is not recognized.
- * @throws {Error} If no generator is registered for `controlType`.
- * @throws {Error} If the generator is missing a `.use` property or the `.use` value is unsupported.
+ * @throws {Error} If the generator's `.use` value is missing or has no call pattern.
  * @throws {Error} If the provided arguments do not meet the simple validation rules for the chosen `.use`.
  *
  * @example
@@ -107,46 +278,19 @@ export const ControlTypes = Object.freeze(
  * generateControl(ControlTypes.RadioTabs, 'pageTabs');
  */
 export function generateControl(controlType, ...args) {
-    // basic controlType check
-    if (!Object.values(ControlTypes).includes(controlType)) {
+    const entry = generatorRegistry.get(controlType);
+    if (!entry) {
         throw new Error(`Unsupported control "${controlType}"`);
     }
 
-    const fn = generatorRegistry[controlType];
-    if (!fn) {
-        throw new Error(`No generator function registered for control "${controlType}"`);
-    }
-
-    const useType = fn.use;
-    if (!useType) {
+    if (!entry.use) {
         throw new Error(`Generator for "${controlType}" is missing required 'use' metadata.`);
     }
 
-    // Centralized, extensible call patterns.
-    // Add new keys here for additional .use types.
-    const callPatterns = {
-        style: ([cssSelector, cssParameter]) => {
-            if (typeof cssSelector !== 'string' || !cssSelector.length) {
-                throw new Error(`'style' generator for "${controlType}" requires a cssSelector (string) as first argument.`);
-            }
-            if (typeof cssParameter !== 'string' || !cssParameter.length) {
-                throw new Error(`'style' generator for "${controlType}" requires a cssParameter (string) as second argument.`);
-            }
-            return fn(cssSelector, cssParameter);
-        },
-
-        control: ([id]) => {
-            if (typeof id !== 'string' || !id.length) {
-                throw new Error(`'control' generator for "${controlType}" requires an id (string) as its single argument.`);
-            }
-            return fn(id);
-        },
-    };
-
-    const caller = callPatterns[useType];
-    if (!caller) {
-        throw new Error(`Unsupported 'use' type "${useType}" for control "${controlType}".`);
+    const pattern = callPatterns.get(entry.use);
+    if (!pattern) {
+        throw new Error(`Unsupported 'use' type "${entry.use}" for control "${controlType}".`);
     }
 
-    return caller(args);
+    return pattern.call(entry.generator, args, controlType);
 }
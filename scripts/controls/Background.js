@@ -0,0 +1,480 @@
+import {padlockTemplate} from "../padlock.js";
+import {assignProps, defineControlProperties, generateID, padlockStyles} from "../controlUtils.js";
+import {isValidColor} from "./Color.js";
+
+const mkErr = (msg) => {
+    throw new Error(`[Background Control] ${msg}`);
+};
+
+/** Background kinds offered, with the text shown for each. */
+const modes = {
+    color: 'Solid color',
+    linear: 'Linear gradient',
+    radial: 'Radial gradient',
+    image: 'Image'
+};
+
+/** Options for the image settings, by setting. */
+const imageOptions = {
+    size: ['auto', 'cover', 'contain'],
+    repeat: ['repeat', 'no-repeat', 'repeat-x', 'repeat-y'],
+    position: ['center', 'top', 'bottom', 'left', 'right', 'top left', 'top right', 'bottom left', 'bottom right']
+};
+
+/** Gradient shapes for radial gradients. */
+const radialShapes = ['ellipse', 'circle'];
+
+/**
+ * A background as stored in templates. Only the fields used by `mode` are present.
+ *
+ * @typedef {Object} BackgroundValue
+ * @property {'color'|'linear'|'radial'|'image'} mode - Kind of background.
+ * @property {string} [color] - Solid color; for images, the color shown behind and around the image.
+ * @property {number} [angle] - Direction of a linear gradient, in degrees.
+ * @property {'ellipse'|'circle'} [shape] - Shape of a radial gradient.
+ * @property {Array<{color: string, position: number}>} [stops] - Gradient color stops, positions in %.
+ * @property {string} [image] - URL of the image.
+ * @property {string} [size] - `background-size` of the image.
+ * @property {string} [repeat] - `background-repeat` of the image.
+ * @property {string} [position] - `background-position` of the image.
+ */
+
+/** Fields each mode uses, in the order they are written. */
+const modeFields = {
+    color: ['color'],
+    linear: ['angle', 'stops'],
+    radial: ['shape', 'stops'],
+    image: ['image', 'size', 'repeat', 'position', 'color']
+};
+
+/** Values used for fields a background leaves out. */
+const fieldDefaults = {
+    color: '#ffffff',
+    angle: 180,
+    shape: 'ellipse',
+    stops: [{color: '#ffffff', position: 0}, {color: '#000000', position: 100}],
+    image: '',
+    size: 'auto',
+    repeat: 'repeat',
+    position: 'center'
+};
+
+const invalid = (msg) => {
+    throw new Error(msg);
+};
+
+/**
+ * Checks a background and fills in the fields its mode uses.
+ *
+ * @param {any} value - A {@link BackgroundValue}, possibly missing optional fields.
+ * @returns {BackgroundValue} The complete background.
+ * @throws {Error} Describing the first problem found.
+ */
+function normalizeBackground(value) {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        invalid(`Background must be an object with a "mode" (got: ${JSON.stringify(value)}).`);
+    }
+    if (!Object.hasOwn(modes, value.mode)) {
+        invalid(`Invalid mode "${value.mode}". Allowed: ${Object.keys(modes).join(', ')}.`);
+    }
+
+    const result = {mode: value.mode};
+    for (const field of modeFields[value.mode]) {
+        result[field] = structuredClone(value[field] ?? fieldDefaults[field]);
+    }
+
+    if ('color' in result && !isValidColor(result.color)) {
+        invalid(`Invalid CSS color: "${result.color}"`);
+    }
+    if ('angle' in result && !Number.isFinite(result.angle)) {
+        invalid(`angle must be a finite number of degrees (got: ${JSON.stringify(result.angle)}).`);
+    }
+    if ('shape' in result && !radialShapes.includes(result.shape)) {
+        invalid(`Invalid shape "${result.shape}". Allowed: ${radialShapes.join(', ')}.`);
+    }
+    if ('stops' in result) {
+        if (!Array.isArray(result.stops) || result.stops.length < 2) {
+            invalid(`A gradient needs at least two color stops.`);
+        }
+        result.stops.forEach(({color, position}, i) => {
+            if (!isValidColor(color)) invalid(`Invalid CSS color for stop ${i + 1}: "${color}"`);
+            if (!Number.isFinite(position) || position < 0 || position > 100) {
+                invalid(`Stop ${i + 1} position must be a number from 0 to 100 (got: ${JSON.stringify(position)}).`);
+            }
+        });
+        result.stops = result.stops.map(({color, position}) => ({color, position}));
+    }
+    if ('image' in result) {
+        // Images come from the document's own folder or a web address; never script
+        if (typeof result.image !== 'string' || /^\s*(javascript|vbscript):/i.test(result.image)) {
+            invalid(`Invalid image URL: ${JSON.stringify(result.image)}`);
+        }
+        for (const field of ['size', 'repeat', 'position']) {
+            if (!imageOptions[field].includes(result[field])) {
+                invalid(`Invalid image ${field} "${result[field]}". Allowed: ${imageOptions[field].join(', ')}.`);
+            }
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Returns the value of a `background` declaration for a background.
+ *
+ * @param {BackgroundValue} background - A complete background.
+ * @returns {string}
+ */
+function backgroundCss(background) {
+    const stops = () => background.stops.map(({color, position}) => `${color} ${position}%`).join(', ');
+
+    switch (background.mode) {
+        case 'linear':
+            return `linear-gradient(${background.angle}deg, ${stops()})`;
+        case 'radial':
+            return `radial-gradient(${background.shape}, ${stops()})`;
+        case 'image': {
+            if (!background.image) return background.color;
+            const url = background.image.replace(/["\\\n]/g, char => `\\${char === '\n' ? 'a ' : char}`);
+            return `url("${url}") ${background.position} / ${background.size} ${background.repeat} ${background.color}`;
+        }
+        default:
+            return background.color;
+    }
+}
+
+export const generateBackgroundControl = Object.assign(
+    /** Generates a Background control set.
+     *
+     * Switches between a solid color, a linear or radial gradient with editable color stops,
+     * and an image with size, repeat and position settings. The whole background is written
+     * as a single `background` shorthand declaration.
+     *
+     * @param {string} cssSelector - String denoting the CSS Selector this control sets.
+     * @param {string} cssParameter - String denoting the CSS Parameter this control sets.
+     * @returns {HTMLDivElement}
+     */
+    function generateBackgroundControl(cssSelector, cssParameter) {
+        if (!padlockTemplate) {
+            throw new Error("Padlock SVG not loaded yet — wait for controlsReady before calling.");
+        }
+
+        //-------------------------------------UTILITY FUNCTION-------------------------------------
+
+        // Settings of every mode are kept, so switching modes back and forth loses nothing
+        let _state = {mode: 'color', ...structuredClone(fieldDefaults)};
+
+        // Defaults to reset to
+        let _defaultValue = {mode: 'color', color: fieldDefaults.color};
+
+        /**
+         * Returns a value the color input can show; it only accepts `#rrggbb`.
+         *
+         * @param {string} color
+         * @returns {string}
+         */
+        function inputColor(color) {
+            return /^#[0-9a-f]{6}$/i.test(color) ? color : '#000000';
+        }
+
+        const setID = generateID(cssSelector, cssParameter);
+
+        const updateControls = (withEvent = false) => {
+            modeSel.value = _state.mode;
+            const gradient = _state.mode === 'linear' || _state.mode === 'radial';
+
+            colorInput.value = inputColor(_state.color);
+            colorInput.hidden = !(_state.mode === 'color' || _state.mode === 'image');
+
+            gradientPanel.hidden = !gradient;
+            angleInput.value = _state.angle.toString();
+            angleInput.hidden = _state.mode !== 'linear';
+            shapeSel.value = _state.shape;
+            shapeSel.hidden = _state.mode !== 'radial';
+            renderStops();
+
+            imagePanel.hidden = _state.mode !== 'image';
+            imageInput.value = _state.image;
+            sizeSel.value = _state.size;
+            repeatSel.value = _state.repeat;
+            positionSel.value = _state.position;
+
+            swatch.style.background = backgroundCss(div.value);
+
+            if (withEvent) div.dispatchEvent(new Event('change', {bubbles: true}));
+        };
+
+        /**
+         * Creates a <select> offering the given values.
+         *
+         * @param {string} id
+         * @param {string} title
+         * @param {string[]|Object<string, string>} options - Values, or text keyed by value.
+         * @returns {HTMLSelectElement}
+         */
+        function createSelect(id, title, options) {
+            const select = document.createElement('select');
+            assignProps(select, {id, title});
+            const entries = Array.isArray(options) ? options.map(value => [value, value]) : Object.entries(options);
+            entries.forEach(([value, text]) => {
+                select.appendChild(Object.assign(document.createElement('option'), {value, textContent: text}));
+            });
+            return select;
+        }
+
+        /** Rebuilds the rows of the color stop editor from the current stops, disabled while locked. */
+        function renderStops() {
+            stopList.replaceChildren(..._state.stops.map(({color, position}, i) => {
+                const row = document.createElement('div');
+
+                const stopColor = document.createElement('input');
+                assignProps(stopColor, {
+                    id: `${setID}-stop${i}-color`, type: 'color', value: inputColor(color), title: `Stop ${i + 1} color`,
+                    disabled: div.locked
+                });
+                // Rebuilding the rows while a picker is open would close it, so only a picked color counts
+                stopColor.addEventListener('change', () => updateStop(i, {color: stopColor.value}));
+
+                const stopPosition = document.createElement('input');
+                assignProps(stopPosition, {
+                    id: `${setID}-stop${i}-position`, type: 'number', min: '0', max: '100', step: '1',
+                    value: position.toString(), title: `Stop ${i + 1} position (%)`, disabled: div.locked
+                }, {
+                    width: '3.5em'
+                });
+                stopPosition.addEventListener('change', () => {
+                    const num = parseFloat(stopPosition.value);
+                    if (Number.isFinite(num)) updateStop(i, {position: Math.min(Math.max(num, 0), 100)});
+                });
+
+                const remove = document.createElement('button');
+                assignProps(remove, {
+                    id: `${setID}-stop${i}-remove`, type: 'button', textContent: '×', title: 'Remove stop',
+                    disabled: _state.stops.length <= 2 || div.locked
+                });
+                remove.addEventListener('click', () => {
+                    _state.stops = _state.stops.filter((_, j) => j !== i);
+                    updateControls(true);
+                });
+
+                row.append(stopColor, stopPosition, '%', remove);
+                return row;
+            }));
+        }
+
+        /**
+         * Changes one color stop.
+         *
+         * @param {number} index
+         * @param {Object} changes - The stop's new `color` and/or `position`.
+         */
+        function updateStop(index, changes) {
+            _state.stops = _state.stops.map((stop, i) => i === index ? {...stop, ...changes} : stop);
+            updateControls(true);
+        }
+
+        //-------------------------------------DEFINE COMPONENTS-------------------------------------
+
+        const div = document.createElement("div");
+        assignProps(div, {
+            id: setID, 'data-control': 'Background',
+        }, {
+            display: "inline-block", margin: '.25em',
+        });
+
+        const padlock = padlockTemplate.cloneWith({
+            id: `${setID}-padlock`, 'data-locked': 'false'
+        });
+        Object.assign(padlock.style, padlockStyles);
+
+        const label = document.createElement("label");
+        assignProps(label, {
+            id: `${setID}-label`,
+            textContent: 'Background',
+            for: `${setID}-input`
+        }, {
+            userSelect: 'none'
+        });
+
+        const swatch = document.createElement('span');
+        assignProps(swatch, {
+            id: `${setID}-swatch`, title: 'Preview'
+        }, {
+            display: 'inline-block',
+            width: '1.5em',
+            height: '1em',
+            marginInline: '.25em',
+            verticalAlign: 'middle',
+            border: '1px solid #888'
+        });
+
+        const modeSel = createSelect(`${setID}-input`, 'Background kind', modes);
+
+        const colorInput = document.createElement('input');
+        assignProps(colorInput, {
+            id: `${setID}-color`, type: 'color', title: 'Color'
+        });
+
+        const gradientPanel = document.createElement('div');
+        gradientPanel.id = `${setID}-gradient`;
+
+        const angleInput = document.createElement('input');
+        assignProps(angleInput, {
+            id: `${setID}-angle`, type: 'number', min: '0', max: '360', step: '15', title: 'Angle (degrees)'
+        }, {
+            width: '3.5em'
+        });
+
+        const shapeSel = createSelect(`${setID}-shape`, 'Shape', radialShapes);
+
+        const stopList = document.createElement('div');
+        stopList.id = `${setID}-stops`;
+
+        const addStop = document.createElement('button');
+        assignProps(addStop, {
+            id: `${setID}-addStop`, type: 'button', textContent: 'Add stop'
+        });
+
+        const imagePanel = document.createElement('div');
+        imagePanel.id = `${setID}-imageSettings`;
+
+        const imageInput = document.createElement('input');
+        assignProps(imageInput, {
+            id: `${setID}-image`, type: 'text', placeholder: 'images/background.png', title: 'Image URL'
+        }, {
+            width: '12em'
+        });
+
+        const sizeSel = createSelect(`${setID}-size`, 'Size', imageOptions.size);
+        const repeatSel = createSelect(`${setID}-repeat`, 'Repeat', imageOptions.repeat);
+        const positionSel = createSelect(`${setID}-position`, 'Position', imageOptions.position);
+
+        //-------------------------------------ADD PROPERTIES-------------------------------------
+
+        Object.defineProperty(div, 'value', {
+            /** Get the background, holding only the fields its mode uses
+             * @returns {BackgroundValue} */
+            get() {
+                return normalizeBackground(_state);
+            },
+            /** Set the background; fields left out keep their current values
+             * @param {BackgroundValue} val */
+            set(val) {
+                let background;
+                try {
+                    background = normalizeBackground({..._state, ...val});
+                } catch (error) {
+                    console.warn(`[BackgroundControl] Invalid background set: ${error.message} Ignoring.`);
+                    return; // Ignore invalid input without throwing error
+                }
+
+                _state = {..._state, ...background};
+                updateControls(true);
+            }
+        });
+
+        defineControlProperties(div, {
+            label, padlock,
+            asString: () => backgroundCss(div.value),
+            onLock: locked => {
+                if (!locked) renderStops(); // Restores the stop limit on the remove buttons
+            }
+        });
+
+        div.reset = () => {
+            div.value = _defaultValue;
+        };
+
+        /**
+         * Save the default configuration for this control.
+         *
+         * The colors are checked the same way as the Color control's, gradients need at least two
+         * stops at positions from 0 to 100 (%), and image settings must be among the offered options.
+         *
+         * @function setDefaults
+         * @param {Object} params - Configuration object containing:
+         * @param {BackgroundValue} params.value - The default background. Optional fields take
+         *                                         the control's built-in defaults.
+         * @param {boolean} [withReset=false] - If true, immediately applies defaults by calling `div.reset()`.
+         * @throws {Error} If the background is missing or invalid.
+         * @returns {void} Does not return anything.
+         */
+        div.setDefaults = ({value}, withReset = false) => {
+            try {
+                _defaultValue = normalizeBackground(value);
+            } catch (error) {
+                mkErr(`[setDefaults] ${error.message}`);
+            }
+
+            if (withReset) div.reset();
+        };
+
+        //-------------------------------------EVENT LISTENERS-------------------------------------
+
+        // Inputs and selects report through the control's own change event
+        label.addEventListener("change", event => event.stopPropagation());
+
+        modeSel.addEventListener("change", () => {
+            div.value = {mode: modeSel.value};
+        });
+
+        colorInput.addEventListener("input", () => {
+            div.value = {color: colorInput.value};
+        });
+
+        angleInput.addEventListener("change", () => {
+            const num = parseFloat(angleInput.value);
+            if (Number.isFinite(num)) div.value = {angle: num};
+        });
+
+        shapeSel.addEventListener("change", () => {
+            div.value = {shape: shapeSel.value};
+        });
+
+        addStop.addEventListener("click", () => {
+            const last = _state.stops.at(-1);
+            _state.stops = [..._state.stops, {color: last.color, position: 100}];
+            updateControls(true);
+        });
+
+        imageInput.addEventListener("change", () => {
+            div.value = {image: imageInput.value.trim()};
+        });
+
+        sizeSel.addEventListener("change", () => {
+            div.value = {size: sizeSel.value};
+        });
+
+        repeatSel.addEventListener("change", () => {
+            div.value = {repeat: repeatSel.value};
+        });
+
+        positionSel.addEventListener("change", () => {
+            div.value = {position: positionSel.value};
+        });
+
+        //-------------------------------------SET DEFAULTS-------------------------------------
+
+        div.setDefaults({value: {mode: 'color'}}, true);
+
+        //-------------------------------------ASSEMBLE CONTROL-------------------------------------
+
+        gradientPanel.append(angleInput, shapeSel, stopList, addStop);
+        imagePanel.append(imageInput, document.createElement('br'), sizeSel, repeatSel, positionSel);
+        label.append(swatch, document.createElement('br'), modeSel, colorInput, gradientPanel, imagePanel);
+
+        div.append(padlock, label);
+
+        return div;
+    },
+    {
+        use: 'style',
+        /** Template entry fields accepted by setDefaults. */
+        schema: {
+            required: ['value'],
+            properties: {
+                value: {type: 'object'}
+            }
+        }
+    }
+);
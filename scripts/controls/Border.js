@@ -0,0 +1,384 @@
+import {padlockTemplate} from "../padlock.js";
+import {assignProps, defineControlProperties, generateID, padlockStyles} from "../controlUtils.js";
+import {roundTo} from "../utilities.js";
+import {isValidColor} from "./Color.js";
+
+const mkErr = (msg) => {
+    throw new Error(`[Border Control] ${msg}`);
+};
+
+/** Box sides, in the order CSS lists them. */
+const sides = ['top', 'right', 'bottom', 'left'];
+
+/** Line styles offered. */
+const lineStyles = ['solid', 'dashed', 'dotted', 'double', 'none'];
+
+// These are in px
+const maximumWidth = 20;
+const maximumRadius = 100;
+
+/**
+ * The border of one side.
+ *
+ * @typedef {Object} BorderSide
+ * @property {number} width - Line width in px.
+ * @property {'solid'|'dashed'|'dotted'|'double'|'none'} style - Line style.
+ * @property {string} color - Line color.
+ */
+
+/**
+ * A border as stored in templates: either one {@link BorderSide} for all sides, or a
+ * {@link BorderSide} per side under `top`, `right`, `bottom` and `left`. Both forms
+ * also hold the corner `radius` in px.
+ *
+ * @typedef {(BorderSide|Object<string, BorderSide>) & {radius: number}} BorderValue
+ */
+
+const invalid = (msg) => {
+    throw new Error(msg);
+};
+
+/**
+ * Checks one side's border.
+ *
+ * @param {any} side
+ * @param {string} name - Which side, for error messages.
+ * @returns {BorderSide}
+ * @throws {Error} Describing the first problem found.
+ */
+function normalizeSide(side, name) {
+    if (typeof side !== 'object' || side === null) invalid(`${name} must be an object with width, style and color.`);
+
+    const {width, style, color} = side;
+    if (!Number.isFinite(width) || width < 0 || width > maximumWidth) {
+        invalid(`${name} width must be a number from 0 to ${maximumWidth} (got: ${JSON.stringify(width)}).`);
+    }
+    if (!lineStyles.includes(style)) {
+        invalid(`Invalid ${name} style "${style}". Allowed: ${lineStyles.join(', ')}.`);
+    }
+    if (!isValidColor(color)) invalid(`Invalid CSS color for ${name}: "${color}"`);
+
+    return {width: roundTo(width, 1), style, color};
+}
+
+/**
+ * Checks a border and expands it to one {@link BorderSide} per side.
+ *
+ * @param {BorderValue} value
+ * @returns {{sides: BorderSide[], radius: number}} Sides in CSS order, and the radius.
+ * @throws {Error} Describing the first problem found.
+ */
+function expandBorder(value) {
+    if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+        invalid(`Border must be an object (got: ${JSON.stringify(value)}).`);
+    }
+
+    const {radius = 0} = value;
+    if (!Number.isFinite(radius) || radius < 0 || radius > maximumRadius) {
+        invalid(`radius must be a number from 0 to ${maximumRadius} (got: ${JSON.stringify(radius)}).`);
+    }
+
+    const perSide = sides.some(side => side in value);
+    return {
+        sides: perSide
+            ? sides.map(side => normalizeSide(value[side], side))
+            : sides.map(() => normalizeSide(value, 'border')),
+        radius: roundTo(radius, 1)
+    };
+}
+
+/**
+ * Returns the value of a border declaration for one side.
+ *
+ * @param {BorderSide} side
+ * @returns {string}
+ */
+function sideCss({width, style, color}) {
+    return `${width === 0 ? '0' : `${width}px`} ${style} ${color}`;
+}
+
+export const generateBorderControl = Object.assign(
+    /** Generates a Border control set.
+     *
+     * Edits the line width, style and color of the border and the corner radius. Unless the
+     * sides are set to be independent, every edit applies to all four sides. A side picker
+     * chooses which side is edited while they are independent.
+     *
+     * Writes `border` (or `border-top` … `border-left` when the sides differ) and
+     * `border-radius`, listed in `cssDeclarations`.
+     *
+     * @param {string} cssSelector - String denoting the CSS Selector this control sets.
+     * @param {string} cssParameter - String denoting the CSS Parameter this control sets.
+     * @returns {HTMLDivElement}
+     */
+    function generateBorderControl(cssSelector, cssParameter) {
+        if (!padlockTemplate) {
+            throw new Error("Padlock SVG not loaded yet — wait for controlsReady before calling.");
+        }
+
+        //-------------------------------------UTILITY FUNCTION-------------------------------------
+
+        const defaultSide = {width: 0, style: 'none', color: '#000000'};
+
+        let _sides = sides.map(() => ({...defaultSide})),
+            _radius = 0,
+            _linked = true,
+            _editing = 0 // Index of the side the inputs show while the sides are independent
+
+        // Defaults to reset to
+        let _defaultValue = {...defaultSide, radius: 0},
+            _defaultLinked = true
+
+        /** @returns {boolean} True if all four sides are the same. */
+        const sidesEqual = () => _sides.every(side =>
+            side.width === _sides[0].width && side.style === _sides[0].style &&
+            side.color.toLowerCase() === _sides[0].color.toLowerCase());
+
+        const setID = generateID(cssSelector, cssParameter);
+
+        const updateControls = (withEvent = false) => {
+            const side = _sides[_linked ? 0 : _editing];
+
+            widthInput.value = side.width.toString();
+            styleSel.value = side.style;
+            colorInput.value = /^#[0-9a-f]{6}$/i.test(side.color) ? side.color : '#000000';
+            radiusInput.value = _radius.toString();
+            separateBox.checked = !_linked;
+            sideSel.hidden = _linked;
+            sideSel.value = sides[_editing];
+
+            if (withEvent) div.dispatchEvent(new Event('change', {bubbles: true}));
+        };
+
+        /**
+         * Changes the edited side, or all sides while they are linked.
+         *
+         * @param {Partial<BorderSide>} changes
+         */
+        const editSide = (changes) => {
+            const updated = _sides.map((side, i) => _linked || i === _editing ? {...side, ...changes} : side);
+            div.value = {...Object.fromEntries(sides.map((name, i) => [name, updated[i]])), radius: _radius};
+        };
+
+        /**
+         * Creates a labelled field for one of the settings.
+         *
+         * @param {string} text
+         * @param {HTMLElement} input
+         * @returns {HTMLLabelElement}
+         */
+        function createField(text, input) {
+            const field = document.createElement('label');
+            assignProps(field, {}, {display: 'inline-block', marginInlineEnd: '.5em'});
+            field.append(text, ' ', input);
+            return field;
+        }
+
+        //-------------------------------------DEFINE COMPONENTS-------------------------------------
+
+        const div = document.createElement("div");
+        assignProps(div, {
+            id: setID, 'data-control': 'Border',
+        }, {
+            display: "inline-block", margin: '.25em',
+        });
+
+        const padlock = padlockTemplate.cloneWith({
+            id: `${setID}-padlock`, 'data-locked': 'false'
+        });
+        Object.assign(padlock.style, padlockStyles);
+
+        // The label heads the control; each setting has a label of its own
+        const label = document.createElement("span");
+        assignProps(label, {
+            id: `${setID}-label`,
+            textContent: 'Border'
+        }, {
+            userSelect: 'none'
+        });
+
+        const fields = document.createElement('div');
+        fields.id = `${setID}-fields`;
+
+        const separateBox = document.createElement('input');
+        assignProps(separateBox, {id: `${setID}-separate`, type: 'checkbox'});
+
+        const sideSel = document.createElement('select');
+        assignProps(sideSel, {id: `${setID}-side`, title: 'Side to edit'});
+        sides.forEach(side => {
+            sideSel.appendChild(Object.assign(document.createElement('option'), {
+                value: side, textContent: side.charAt(0).toUpperCase() + side.slice(1)
+            }));
+        });
+
+        const widthInput = document.createElement('input');
+        assignProps(widthInput, {
+            id: `${setID}-input`, type: 'number', min: '0', max: maximumWidth.toString(), step: '1'
+        }, {
+            width: '3em'
+        });
+
+        const styleSel = document.createElement('select');
+        assignProps(styleSel, {id: `${setID}-style`});
+        lineStyles.forEach(style => {
+            styleSel.appendChild(Object.assign(document.createElement('option'), {value: style, textContent: style}));
+        });
+
+        const colorInput = document.createElement('input');
+        assignProps(colorInput, {id: `${setID}-color`, type: 'color'});
+
+        const radiusInput = document.createElement('input');
+        assignProps(radiusInput, {
+            id: `${setID}-radius`, type: 'number', min: '0', max: maximumRadius.toString(), step: '1'
+        }, {
+            width: '3em'
+        });
+
+        //-------------------------------------ADD PROPERTIES-------------------------------------
+
+        Object.defineProperty(div, 'value', {
+            /** Get the border, as one side for all four if they are the same
+             * @returns {BorderValue} */
+            get() {
+                if (sidesEqual()) return {..._sides[0], radius: _radius};
+                return {...Object.fromEntries(sides.map((name, i) => [name, {..._sides[i]}])), radius: _radius};
+            },
+            set(val) {
+                let expanded;
+                try {
+                    expanded = expandBorder(val);
+                } catch (error) {
+                    console.warn(`[BorderControl] Invalid border set: ${error.message} Ignoring.`);
+                    return; // Ignore invalid input without throwing error
+                }
+
+                _sides = expanded.sides;
+                _radius = expanded.radius;
+                updateControls(true);
+            }
+        });
+
+        Object.defineProperty(div, 'linked', {
+            /** Get whether edits apply to all four sides
+             * @returns {boolean} */
+            get() {
+                return _linked;
+            },
+            set(value) {
+                _linked = Boolean(value);
+                updateControls(true);
+            }
+        });
+
+        defineControlProperties(div, {
+            label, padlock,
+            dimmed: [label, fields],
+            asString: () => sidesEqual() ? sideCss(_sides[0]) : _sides.map(sideCss).join(' / '),
+            cssDeclarations: () => {
+                const parameter = div.cssPair.parameter;
+                const declarations = sidesEqual()
+                    ? [{property: parameter, value: sideCss(_sides[0])}]
+                    : sides.map((name, i) => ({property: `${parameter}-${name}`, value: sideCss(_sides[i])}));
+                declarations.push({property: `${parameter}-radius`, value: _radius === 0 ? '0' : `${_radius}px`});
+                return declarations;
+            }
+        });
+
+        div.reset = () => {
+            Object.assign(div, {
+                linked: _defaultLinked,
+                value: _defaultValue
+            })
+        };
+
+        /**
+         * Save the default configuration for this control.
+         *
+         * @function setDefaults
+         * @param {Object} params - Configuration object containing:
+         * @param {BorderValue} params.value - The default border. `radius` defaults to 0.
+         * @param {boolean} [params.linked] - Whether edits apply to all sides. Defaults to true
+         *                                    when all sides are the same.
+         * @param {boolean} [withReset=false] - If true, immediately applies defaults by calling `div.reset()`.
+         * @throws {Error} If the border is missing or invalid.
+         * @returns {void} Does not return anything.
+         */
+        div.setDefaults = ({value, linked}, withReset = false) => {
+            let expanded;
+            try {
+                expanded = expandBorder(value);
+            } catch (error) {
+                mkErr(`[setDefaults] ${error.message}`);
+            }
+            if (linked !== undefined && typeof linked !== 'boolean') {
+                mkErr(`[setDefaults] linked must be true or false (got: ${JSON.stringify(linked)}).`);
+            }
+
+            _defaultValue = {...Object.fromEntries(sides.map((name, i) => [name, expanded.sides[i]])), radius: expanded.radius};
+            _defaultLinked = linked ?? expanded.sides.every(side => JSON.stringify(side) === JSON.stringify(expanded.sides[0]));
+
+            if (withReset) div.reset();
+        };
+
+        //-------------------------------------EVENT LISTENERS-------------------------------------
+
+        // Inputs and selects report through the control's own change event
+        fields.addEventListener("change", event => event.stopPropagation());
+
+        separateBox.addEventListener("change", () => {
+            // Linking again makes every side match the one being edited
+            if (!separateBox.checked) editSide({..._sides[_editing]});
+            div.linked = !separateBox.checked;
+        });
+
+        sideSel.addEventListener("change", () => {
+            _editing = sides.indexOf(sideSel.value);
+            updateControls();
+        });
+
+        widthInput.addEventListener("input", () => {
+            const num = parseFloat(widthInput.value);
+            if (Number.isFinite(num)) editSide({width: Math.min(Math.max(num, 0), maximumWidth)});
+        });
+
+        styleSel.addEventListener("change", () => {
+            editSide({style: styleSel.value});
+        });
+
+        colorInput.addEventListener("input", () => {
+            editSide({color: colorInput.value});
+        });
+
+        radiusInput.addEventListener("input", () => {
+            const num = parseFloat(radiusInput.value);
+            if (Number.isFinite(num)) div.value = {...div.value, radius: Math.min(Math.max(num, 0), maximumRadius)};
+        });
+
+        //-------------------------------------SET DEFAULTS-------------------------------------
+
+        div.setDefaults({value: {...defaultSide}}, true);
+
+        //-------------------------------------ASSEMBLE CONTROL-------------------------------------
+
+        fields.append(
+            createField('Separate sides', separateBox), sideSel, document.createElement('br'),
+            createField('Width (px)', widthInput), createField('Style', styleSel),
+            createField('Color', colorInput), createField('Radius (px)', radiusInput)
+        );
+
+        div.append(padlock, label, fields);
+
+        return div;
+    },
+    {
+        use: 'style',
+        /** Template entry fields accepted by setDefaults. */
+        schema: {
+            required: ['value'],
+            properties: {
+                value: {type: 'object'},
+                linked: {type: 'boolean'}
+            }
+        }
+    }
+);
@@ -0,0 +1,287 @@
+import {padlockTemplate} from "../padlock.js";
+import {assignProps, defineControlProperties, generateID, padlockStyles} from "../controlUtils.js";
+import {roundTo} from "../utilities.js";
+
+const mkErr = (msg) => {
+    throw new Error(`[BoxModel Control] ${msg}`);
+};
+
+/** Box sides, in the order CSS shorthand lists them. */
+const sides = ['Top', 'Right', 'Bottom', 'Left'];
+
+/** The allowed unit types for side lengths.
+ * @typedef {'px'|'em'|'rem'|'%'} allowedUnits */
+const allowedUnits = ['px', 'em', 'rem', '%'];
+
+export const generateBoxModelControl = Object.assign(
+    /** Generates a BoxModel control set for `margin` or `padding`.
+     *
+     * Each side has its own input. While the sides are linked, changing any side changes all
+     * four. The declaration uses the shortest shorthand form that describes the sides,
+     * e.g. `margin: 1em 0` for equal top/bottom and left/right sides.
+     *
+     * @param {string} cssSelector - String denoting the CSS Selector this control sets.
+     * @param {string} cssParameter - String denoting the CSS Parameter this control sets.
+     * @returns {HTMLDivElement}
+     */
+    function generateBoxModelControl(cssSelector, cssParameter) {
+        if (!padlockTemplate) {
+            throw new Error("Padlock SVG not loaded yet — wait for controlsReady before calling.");
+        }
+
+        //-------------------------------------UTILITY FUNCTION-------------------------------------
+
+        // Padding cannot be negative; margins can
+        const allowNegative = !/^padding/.test(cssParameter);
+
+        let _sides = [0, 0, 0, 0],
+            _units = 'px',
+            _linked = false
+
+        // Defaults to reset to
+        let _defaultSides = [0, 0, 0, 0],
+            _defaultUnits = 'px',
+            _defaultLinked = false
+
+        /**
+         * Expands a value given like CSS shorthand (one to four numbers) to all four sides.
+         *
+         * @param {number|number[]} value
+         * @returns {?number[]} The four sides, or null if the value is not valid.
+         */
+        function expandSides(value) {
+            const list = Array.isArray(value) ? value : [value];
+            if (list.length < 1 || list.length > 4) return null;
+
+            const nums = list.map(v => typeof v === 'number' ? v : parseFloat(v));
+            if (!nums.every(Number.isFinite)) return null;
+            if (!allowNegative && nums.some(n => n < 0)) return null;
+
+            const [top, right = top, bottom = top, left = right] = nums;
+            return [top, right, bottom, left].map(n => roundTo(n, 2));
+        }
+
+        /**
+         * Returns the shortest shorthand list of sides.
+         *
+         * @param {number[]} values - The four sides.
+         * @returns {number[]}
+         */
+        function shortenSides([top, right, bottom, left]) {
+            if (left !== right) return [top, right, bottom, left];
+            if (bottom !== top) return [top, right, bottom];
+            if (right !== top) return [top, right];
+            return [top];
+        }
+
+        const setID = generateID(cssSelector, cssParameter);
+
+        const updateControls = (withEvent = false) => {
+            sideInputs.forEach((input, i) => {
+                input.value = _sides[i].toString();
+                input.step = _units === 'px' || _units === '%' ? '1' : '0.1';
+                if (!allowNegative) input.min = '0';
+            });
+            unitSel.value = _units;
+            linkToggle.setAttribute('aria-pressed', _linked.toString());
+            linkToggle.style.opacity = _linked ? '1' : '0.5';
+
+            if (withEvent) div.dispatchEvent(new Event('change', {bubbles: true}));
+        };
+
+        //-------------------------------------DEFINE COMPONENTS-------------------------------------
+
+        const div = document.createElement("div");
+        assignProps(div, {
+            id: setID, 'data-control': 'BoxModel',
+        }, {
+            display: "inline-block", margin: '.25em',
+        });
+
+        const padlock = padlockTemplate.cloneWith({
+            id: `${setID}-padlock`, 'data-locked': 'false'
+        });
+        Object.assign(padlock.style, padlockStyles);
+
+        const label = document.createElement("label");
+        assignProps(label, {
+            id: `${setID}-label`,
+            textContent: cssParameter.charAt(0).toUpperCase() + cssParameter.slice(1),
+            for: `${setID}-top`
+        }, {
+            userSelect: 'none'
+        });
+
+        const sideInputs = sides.map(side => {
+            const input = document.createElement("input");
+            assignProps(input, {
+                id: `${setID}-${side.toLowerCase()}`, type: "number", title: side
+            }, {
+                width: "3.5em"
+            });
+            return input;
+        });
+
+        const unitSel = document.createElement("select");
+        assignProps(unitSel, {
+            id: `${setID}-units`, title: 'Units'
+        });
+        allowedUnits.forEach(unit => {
+            unitSel.appendChild(Object.assign(document.createElement('option'), {value: unit, textContent: unit}));
+        });
+
+        const linkToggle = document.createElement("button");
+        assignProps(linkToggle, {
+            id: `${setID}-link`, type: 'button', textContent: '🔗', title: 'Link all sides'
+        });
+
+        //-------------------------------------ADD PROPERTIES-------------------------------------
+
+        Object.defineProperty(div, 'value', {
+            /** Get the sides in the shortest shorthand form, e.g. `[1, 0]` for `1em 0`
+             * @returns {number[]} */
+            get() {
+                return shortenSides(_sides);
+            },
+            /** Set the sides from one to four numbers, as in CSS shorthand
+             * @param {number|number[]} val */
+            set(val) {
+                const expanded = expandSides(val);
+                if (!expanded) {
+                    console.warn(`[BoxModelControl] Invalid sides set: ${JSON.stringify(val)}. Ignoring.`);
+                    return; // Ignore invalid input without throwing error
+                }
+
+                _sides = expanded;
+                updateControls(true);
+            }
+        });
+
+        Object.defineProperty(div, 'units', {
+            get() {
+                return _units;
+            },
+            set(newUnit) {
+                if (allowedUnits.includes(newUnit)) {
+                    _units = newUnit;
+                    updateControls(true);
+                } else {
+                    console.warn(`Unsupported unit: ${newUnit}`);
+                }
+            }
+        });
+
+        Object.defineProperty(div, 'linked', {
+            /** Get whether changing one side changes all of them
+             * @returns {boolean} */
+            get() {
+                return _linked;
+            },
+            set(value) {
+                _linked = Boolean(value);
+                updateControls(true);
+            }
+        });
+
+        defineControlProperties(div, {
+            label, padlock,
+            asString: () => shortenSides(_sides).map(n => n === 0 ? '0' : `${n}${_units}`).join(' ')
+        });
+
+        div.reset = () => {
+            // Set all three at once, so a reset is a single change
+            _units = _defaultUnits;
+            _sides = [..._defaultSides];
+            _linked = _defaultLinked;
+            updateControls(true);
+        };
+
+        /**
+         * Save the default configuration for this control.
+         *
+         * @function setDefaults
+         * @param {Object} params - Configuration object containing:
+         * @param {allowedUnits} params.units - Unit type for the sides.
+         * @param {number|number[]} params.value - One to four side lengths, as in CSS shorthand.
+         * @param {boolean} [params.linked=false] - Whether the sides start out linked.
+         * @param {boolean} [withReset=false] - If true, immediately applies defaults by calling `div.reset()`.
+         * @throws {Error} If the units or sides are missing or invalid, or the sides are linked but differ.
+         * @returns {void} Does not return anything.
+         */
+        div.setDefaults = ({units, value, linked = false}, withReset = false) => {
+            const mkErrSD = (msg) => {
+                mkErr(`[setDefaults] ${msg}`);
+            };
+
+            if (!allowedUnits.includes(units)) {
+                mkErrSD(`Invalid units "${units}". Allowed: ${allowedUnits.join(', ')}.`);
+            }
+
+            const expanded = expandSides(value);
+            if (!expanded) {
+                mkErrSD(`value must be one to four ${allowNegative ? '' : 'non-negative '}numbers (got: ${JSON.stringify(value)}).`);
+            }
+            if (typeof linked !== 'boolean') {
+                mkErrSD(`linked must be true or false (got: ${JSON.stringify(linked)}).`);
+            }
+            if (linked && expanded.some(n => n !== expanded[0])) {
+                mkErrSD(`Linked sides must all be equal (got: ${expanded.join(', ')}).`);
+            }
+
+            _defaultUnits = units;
+            _defaultSides = expanded;
+            _defaultLinked = linked;
+
+            if (withReset) div.reset();
+        };
+
+        //-------------------------------------EVENT LISTENERS-------------------------------------
+
+        sideInputs.forEach((input, i) => {
+            input.addEventListener("input", () => {
+                const num = parseFloat(input.value);
+                if (!Number.isFinite(num)) return; // Wait until the field holds a number
+
+                const updated = [..._sides];
+                if (div.linked) updated.fill(num); else updated[i] = num;
+                div.value = updated;
+            });
+            // The control dispatches its own change event
+            input.addEventListener("change", event => event.stopPropagation());
+        });
+
+        unitSel.addEventListener("change", (event) => {
+            event.stopPropagation();
+            div.units = unitSel.value;
+        });
+
+        linkToggle.addEventListener("click", () => {
+            // Linking takes the top side for all four
+            if (!div.linked) div.value = _sides[0];
+            div.linked = !div.linked;
+        });
+
+        //-------------------------------------SET DEFAULTS-------------------------------------
+
+        div.setDefaults({units: 'px', value: 0}, true);
+
+        //-------------------------------------ASSEMBLE CONTROL-------------------------------------
+
+        label.append(document.createElement('br'), ...sideInputs, unitSel, linkToggle);
+
+        div.append(padlock, label);
+
+        return div;
+    },
+    {
+        use: 'style',
+        /** Template entry fields accepted by setDefaults. */
+        schema: {
+            required: ['units', 'value'],
+            properties: {
+                units: {enum: allowedUnits},
+                linked: {type: 'boolean'}
+            }
+        }
+    }
+);
@@ -1,12 +1,154 @@
 import {padlockTemplate} from "../padlock.js";
-import {generateID, splitID, assignProps, padlockStyles} from "../controlUtils.js";
+import {assignProps, defineControlProperties, generateID, padlockStyles} from "../controlUtils.js";
+import {roundTo} from "../utilities.js";
 
 const mkErr = (msg) => {
-    throw new Error(`[Color control] ${msg}`);
+    throw new Error(`[Color Control] ${msg}`);
 };
 
+/** How many recently used colors are offered. */
+const maximumRecent = 8;
+
+/** Colors recently picked in any Color control, newest first. */
+const recentColors = [];
+
+/** Fires `change` whenever `recentColors` changes, so every Color control shows the same list. */
+const recentColorsChanged = new EventTarget();
+
+/**
+ * Checks whether a string is a CSS selector the browser can match.
+ *
+ * @param {string} selector
+ * @returns {boolean}
+ */
+function isValidSelector(selector) {
+    try {
+        document.createDocumentFragment().querySelector(selector);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Checks whether a string is a CSS color the browser understands (named color, hex,
+ * rgb/rgba, hsl/hsla, etc.).
+ *
+ * @param {any} value
+ * @returns {boolean}
+ */
+export function isValidColor(value) {
+    if (typeof value !== "string" || !value.trim()) return false;
+
+    const s = new Option().style;
+    s.color = value;
+    return s.color !== "";
+}
+
+/**
+ * Resolves a CSS color to its red, green, blue and alpha channels.
+ *
+ * @param {string} value - Any CSS color.
+ * @returns {?{r: number, g: number, b: number, a: number}} Channels from 0 to 255, alpha
+ *          from 0 to 1; null if the color is not valid or cannot be resolved (e.g. `currentcolor`).
+ */
+export function parseColor(value) {
+    if (!isValidColor(value)) return null;
+
+    // Computed colors are always rgb()/rgba(), whatever form they were written in
+    const probe = document.createElement('span');
+    probe.style.color = value;
+    document.documentElement.appendChild(probe);
+    const computed = getComputedStyle(probe).color;
+    probe.remove();
+
+    const match = computed.match(/^rgba?\(\s*([\d.]+)[,\s]+([\d.]+)[,\s]+([\d.]+)(?:\s*[,/]\s*([\d.]+)(%?))?\s*\)$/);
+    if (!match) return null;
+
+    const [, r, g, b, alpha, percent] = match;
+    const a = alpha === undefined ? 1 : parseFloat(alpha) / (percent ? 100 : 1);
+    return {r: Math.round(r), g: Math.round(g), b: Math.round(b), a: roundTo(a, 2)};
+}
+
+/**
+ * Returns the WCAG contrast ratio of a color against an opaque background. A translucent
+ * color is blended onto the background first.
+ *
+ * @param {{r: number, g: number, b: number, a: number}} color
+ * @param {{r: number, g: number, b: number}} background
+ * @returns {number} From 1 to 21.
+ */
+export function contrastRatio(color, background) {
+    const blend = channel => color[channel] * color.a + background[channel] * (1 - color.a);
+    const luminance = ({r, g, b}) => {
+        const [R, G, B] = [r, g, b].map(c => {
+            const s = c / 255;
+            return s <= 0.04045 ? s / 12.92 : ((s + 0.055) / 1.055) ** 2.4;
+        });
+        return 0.2126 * R + 0.7152 * G + 0.0722 * B;
+    };
+
+    const [light, dark] = [
+        luminance({r: blend('r'), g: blend('g'), b: blend('b')}),
+        luminance(background)
+    ].sort((x, y) => y - x);
+    return (light + 0.05) / (dark + 0.05);
+}
+
+/**
+ * Writes channels as a CSS color in the given notation.
+ *
+ * @param {{r: number, g: number, b: number, a: number}} color
+ * @param {'hex'|'rgb'|'hsl'} notation
+ * @returns {string}
+ */
+function formatColor({r, g, b, a}, notation) {
+    if (notation === 'rgb') {
+        return a === 1 ? `rgb(${r}, ${g}, ${b})` : `rgba(${r}, ${g}, ${b}, ${a})`;
+    }
+
+    if (notation === 'hsl') {
+        const [R, G, B] = [r, g, b].map(c => c / 255);
+        const max = Math.max(R, G, B), min = Math.min(R, G, B);
+        const l = (max + min) / 2;
+        const d = max - min;
+        const s = d === 0 ? 0 : d / (1 - Math.abs(2 * l - 1));
+        let h = 0;
+        if (d !== 0) {
+            if (max === R) h = ((G - B) / d) % 6;
+            else if (max === G) h = (B - R) / d + 2;
+            else h = (R - G) / d + 4;
+        }
+        const [H, S, L] = [(h * 60 + 360) % 360, s * 100, l * 100].map(n => Math.round(n));
+        return a === 1 ? `hsl(${H}, ${S}%, ${L}%)` : `hsla(${H}, ${S}%, ${L}%, ${a})`;
+    }
+
+    const hex = [r, g, b].map(c => c.toString(16).padStart(2, '0')).join('');
+    return a === 1 ? `#${hex}` : `#${hex}${Math.round(a * 255).toString(16).padStart(2, '0')}`;
+}
+
+/**
+ * Returns the notation a color is written in, so edits can keep it.
+ *
+ * @param {string} value
+ * @returns {'hex'|'rgb'|'hsl'} Named colors count as hex.
+ */
+function colorNotation(value) {
+    if (/^\s*hsla?\(/i.test(value)) return 'hsl';
+    if (/^\s*rgba?\(/i.test(value)) return 'rgb';
+    return 'hex';
+}
+
 export const generateColorControl = Object.assign(
         /** Generates a Color control set.
+         *
+         * A color picker and an opacity slider edit the color. Swatches from the template and
+         * the colors most recently picked in any Color control are offered as shortcuts. With
+         * `contrastWith` set, the control shows the WCAG contrast ratio against the background
+         * the editor passes in as `contrastBackground`.
+         *
+         * The value is kept exactly as given, e.g. `hsla(0, 0%, 0%, 0.5)`. Picker and slider
+         * edits write the new color in the same notation.
          *
          * @param {string} cssSelector - String denoting the CSS Selector this control sets.
          * @param {string} cssParameter - String denoting the CSS Parameter this control sets.
@@ -20,10 +162,94 @@ export const generateColorControl = Object.assign(
 
             //-------------------------------------UTILITY FUNCTION-------------------------------------
 
+            let _value = '#000000',
+                _swatches = [],
+                _contrastWith = null,
+                _contrastBackground = '#ffffff'
+
             let _defaultColor = '#000000'
 
             let setID = generateID(cssSelector, cssParameter);
 
+            const updateControls = (withEvent = false) => {
+                const channels = parseColor(_value) ?? {r: 0, g: 0, b: 0, a: 1};
+
+                colorSel.value = formatColor({...channels, a: 1}, 'hex');
+                alphaSlider.value = channels.a.toString();
+                updateContrast();
+
+                if (withEvent) div.dispatchEvent(new Event('change', {bubbles: true}));
+            };
+
+            /** Shows the contrast ratio against the background, if a background selector is set. */
+            function updateContrast() {
+                const color = parseColor(_value);
+                const background = parseColor(_contrastBackground);
+                contrastSpan.hidden = !_contrastWith || !color || !background;
+                if (contrastSpan.hidden) return;
+
+                const ratio = contrastRatio(color, background);
+                const rating = ratio >= 7 ? 'AAA' : ratio >= 4.5 ? 'AA' : ratio >= 3 ? 'AA Large' : 'Fail';
+                contrastSpan.textContent = `${roundTo(ratio, 2).toFixed(2)}:1 ${rating}`;
+                contrastSpan.title = `Contrast with the background of "${_contrastWith}"`;
+                contrastSpan.style.color = ratio >= 4.5 ? '' : '#b00020';
+            }
+
+            /**
+             * Creates a button that applies a color.
+             *
+             * @param {string} id
+             * @param {string} color
+             * @returns {HTMLButtonElement}
+             */
+            function createSwatch(id, color) {
+                const button = document.createElement('button');
+                assignProps(button, {
+                    id, type: 'button', title: color, disabled: div.locked
+                }, {
+                    width: '1.25em',
+                    height: '1.25em',
+                    padding: '0',
+                    marginInlineEnd: '.125em',
+                    border: '1px solid #888',
+                    // A checkerboard behind translucent colors
+                    background: `linear-gradient(${color}, ${color}), repeating-conic-gradient(#ccc 0 25%, #fff 0 50%) 0 0 / .5em .5em`
+                });
+                button.addEventListener('click', () => {
+                    div.value = color;
+                    rememberColor(color);
+                });
+                return button;
+            }
+
+            /** Rebuilds the template swatches and recent colors. */
+            function renderSwatches() {
+                swatchRow.replaceChildren(..._swatches.map((color, i) => createSwatch(`${setID}-swatch${i}`, color)));
+                swatchRow.hidden = !_swatches.length;
+
+                recentRow.replaceChildren(...recentColors.map((color, i) => createSwatch(`${setID}-recent${i}`, color)));
+                recentRow.hidden = !recentColors.length;
+            }
+
+            /**
+             * Moves a color to the front of the recently used colors.
+             *
+             * @param {string} color
+             */
+            function rememberColor(color) {
+                const existing = recentColors.findIndex(c => c.toLowerCase() === color.toLowerCase());
+                if (existing !== -1) recentColors.splice(existing, 1);
+                recentColors.unshift(color);
+                recentColors.length = Math.min(recentColors.length, maximumRecent);
+                recentColorsChanged.dispatchEvent(new Event('change'));
+            }
+
+            /** Applies the picker and slider, keeping the notation of the current value. */
+            function applyPicker() {
+                const {r, g, b} = parseColor(colorSel.value);
+                div.value = formatColor({r, g, b, a: roundTo(parseFloat(alphaSlider.value), 2)}, colorNotation(_value));
+            }
+
             //-------------------------------------DEFINE COMPONENTS-------------------------------------
 
             const div = document.createElement("div");
@@ -50,6 +276,7 @@ export const generateColorControl = Object.assign(
                 userSelect: 'none',
                 display: 'inline-flex',
                 alignItems: 'center',
+                flexWrap: 'wrap',
                 gap: '0.5em',
             });
 
@@ -60,81 +287,84 @@ export const generateColorControl = Object.assign(
                 value: '#000000'
             });
 
-            //-------------------------------------ADD PROPERTIES-------------------------------------
-
-            Object.defineProperty(div, 'value', {
-                get() {
-                    return colorSel.value;
-                },
-                set(newVal) {
-                    colorSel.value = newVal;
-                    div.dispatchEvent(new Event('change', {bubbles: true}));
-                }
+            const alphaSlider = document.createElement("input");
+            assignProps(alphaSlider, {
+                id: `${setID}-alpha`,
+                type: 'range',
+                min: '0',
+                max: '1',
+                step: '0.01',
+                title: 'Opacity'
+            }, {
+                width: '5em'
             });
 
-            Object.defineProperty(div, 'label', {
-                get() {
-                    if (label.firstChild && label.firstChild.nodeType === Node.TEXT_NODE) {
-                        return label.firstChild.textContent;
-                    }
-                    return '';
-                },
-                set(text) {
-                    let textNode = undefined;
-                    if (label.firstChild) {
-                        textNode = label.firstChild.nodeType === Node.TEXT_NODE ? label.firstChild : null
-                    }
-                    if (textNode) {
-                        textNode.textContent = text;
-                    } else {
-                        label.insertBefore(document.createTextNode(text), label.firstChild);
-                    }
-                }
+            const contrastSpan = document.createElement('span');
+            assignProps(contrastSpan, {
+                id: `${setID}-contrast`
+            }, {
+                fontSize: '.85em'
             });
 
-            Object.defineProperty(div, 'asString', {
-                get() {
-                    return colorSel.value;
-                }
-            });
+            const swatchRow = document.createElement('div');
+            swatchRow.id = `${setID}-swatches`;
 
-            Object.defineProperty(div, 'cssPair', {
-                get() {
-                    return splitID(div.id);
-                }
+            const recentRow = document.createElement('div');
+            assignProps(recentRow, {
+                id: `${setID}-recent`,
+                title: 'Recently used colors'
             });
 
-            Object.defineProperty(div, 'cssSelector', {
-                get() {
-                    return div.cssPair.selector;
-                }
-            });
+            //-------------------------------------ADD PROPERTIES-------------------------------------
 
-            Object.defineProperty(div, 'cssParameter', {
+            Object.defineProperty(div, 'value', {
+                /** Get the color, in the notation it was given in
+                 * @returns {string} */
                 get() {
-                    return div.cssPair.parameter;
+                    return _value;
+                },
+                set(newVal) {
+                    if (!isValidColor(newVal)) {
+                        console.warn(`[ColorControl] Invalid color set: ${newVal}. Ignoring.`);
+                        return; // Ignore invalid input without throwing error
+                    }
+
+                    _value = newVal.trim();
+                    updateControls(true);
                 }
             });
 
-            Object.defineProperty(div, 'cssDeclaration', {
+            Object.defineProperty(div, 'contrastWith', {
+                /** Get the preview selector whose background the contrast is measured against
+                 * @returns {?string} */
                 get() {
-                    return `${div.cssPair.parameter}: ${div.asString}`;
+                    return _contrastWith;
                 }
             });
 
-            Object.defineProperty(div, 'locked', {
+            Object.defineProperty(div, 'contrastBackground', {
+                /** Get the background color the contrast is measured against
+                 * @returns {string} */
                 get() {
-                    return padlock.getAttribute('data-locked') === 'true';
+                    return _contrastBackground;
                 },
-                set(value) {
-                    padlock.setAttribute('data-locked', value.toString());
-
-                    colorSel.disabled = div.locked;
-                    label.style.opacity = div.locked ? '0.5' : '1';
-                    label.style.pointerEvents = div.locked ? 'none' : 'auto';
+                /** Set by the editor to the computed background of `contrastWith` in the preview
+                 * @param {string} color */
+                set(color) {
+                    if (!isValidColor(color)) {
+                        console.warn(`[ColorControl] Invalid contrast background: ${color}. Ignoring.`);
+                        return;
+                    }
+                    _contrastBackground = color;
+                    updateContrast();
                 }
             });
 
+            defineControlProperties(div, {
+                label, padlock,
+                asString: () => _value
+            });
+
             div.reset = () => {
                 div.value = _defaultColor;
             };
@@ -144,18 +374,22 @@ export const generateColorControl = Object.assign(
              *
              * This function:
              *  - Requires a valid CSS color string (named color, hex, rgb/rgba, hsl/hsla, etc.).
-             *  - Throws an error if the color is invalid.
-             *  - Stores the color as the default.
+             *  - Requires any swatches to be valid CSS colors as well.
+             *  - Throws an error if a color is invalid.
+             *  - Stores the color as the default, and shows the swatches and contrast readout.
              *  - Optionally calls div.reset() if withReset is true.
              *
              * @function setDefaults
              * @param {Object} params - The configuration object.
              * @param {string} params.value - A valid CSS color string.
+             * @param {string[]} [params.swatches] - Colors offered as one-click choices.
+             * @param {string} [params.contrastWith] - Preview selector whose background the
+             *                                         contrast ratio is shown against.
              * @param {boolean} [withReset=false] - If true, immediately applies defaults by calling div.reset().
              * @throws {Error} If `color` is missing or not a valid CSS color.
              * @returns {void} This function does not return anything.
              */
-            div.setDefaults = ({value}, withReset = false) => {
+            div.setDefaults = ({value, swatches = [], contrastWith}, withReset = false) => {
                 const mkErrSD = (msg) => {
                     mkErr(`[setDefaults] ${msg}`);
                 };
@@ -165,38 +399,90 @@ export const generateColorControl = Object.assign(
                     mkErrSD(`Value must be a non-empty string.`);
                 }
 
-                const s = new Option().style;
-                s.color = value;
-                if (s.color === "") {
+                if (!isValidColor(value)) {
                     mkErrSD(`Invalid CSS color: "${value}"`);
                 }
 
-                _defaultColor = value;
+                if (!Array.isArray(swatches)) {
+                    mkErrSD(`swatches must be a list of CSS colors (got: ${JSON.stringify(swatches)}).`);
+                }
+                const invalidSwatch = swatches.find(color => !isValidColor(color));
+                if (invalidSwatch !== undefined) {
+                    mkErrSD(`Invalid CSS color in swatches: "${invalidSwatch}"`);
+                }
+
+                if (contrastWith !== undefined && (typeof contrastWith !== 'string' || !contrastWith.trim())) {
+                    mkErrSD(`contrastWith must be a CSS selector (got: ${JSON.stringify(contrastWith)}).`);
+                }
+                if (contrastWith !== undefined && !isValidSelector(contrastWith)) {
+                    mkErrSD(`contrastWith is not a valid CSS selector: "${contrastWith}"`);
+                }
+
+                _defaultColor = value.trim();
+                _swatches = [...swatches];
+                _contrastWith = contrastWith ?? null;
+                renderSwatches();
+                updateContrast();
 
                 if (withReset) div.reset();
             };
 
-
 //-------------------------------------EVENT LISTENERS-------------------------------------
 
-            padlock.addEventListener("click", () => {
-                div.locked = !div.locked;
-            });
+            colorSel.addEventListener("input", applyPicker);
+            alphaSlider.addEventListener("input", applyPicker);
 
-            colorSel.addEventListener("input", () => {
-                div.value = colorSel.value;
+            // A color counts as used once the picker or slider is let go
+            for (const input of [colorSel, alphaSlider]) {
+                input.addEventListener("change", (event) => {
+                    event.stopPropagation(); // The control dispatches its own change event
+                    rememberColor(_value);
+                });
+            }
+
+            // Show colors picked in other controls; a control taken off the page stops listening
+            const onRecentColors = () => {
+                if (div.isConnected) {
+                    renderSwatches();
+                } else {
+                    recentColorsChanged.removeEventListener('change', onRecentColors);
+                }
+            };
+            recentColorsChanged.addEventListener('change', onRecentColors);
+
+            // Catch up on colors picked while this control was not on the page, and listen again
+            const rejoin = () => {
+                recentColorsChanged.addEventListener('change', onRecentColors);
+                renderSwatches();
+            };
+            div.addEventListener("pointerenter", rejoin);
+            div.addEventListener("focusin", (event) => {
+                if (!event.target.closest('button')) rejoin();
             });
 
+//-------------------------------------SET DEFAULTS-------------------------------------
+
+            div.setDefaults({value: '#000000'}, true);
+
 //-------------------------------------ASSEMBLE CONTROL-------------------------------------
 
-            label.appendChild(colorSel);
+            label.append(colorSel, alphaSlider, contrastSpan, swatchRow, recentRow);
 
             div.append(padlock, label);
 
             return div;
         },
         {
-            use: 'style'
+            use: 'style',
+            /** Template entry fields accepted by setDefaults. */
+            schema: {
+                required: ['value'],
+                properties: {
+                    value: {type: 'string'},
+                    swatches: {type: 'object'},
+                    contrastWith: {type: 'string'}
+                }
+            }
         }
     )
 ;
@@ -1,28 +1,35 @@
 import {padlockTemplate} from "../padlock.js";
-import {Choices} from "../choices.js";
-import {assignProps, generateID, padlockStyles, splitID} from "../controlUtils.js";
+import {Choices, addChoicesStylesheet} from "../choices.js";
+import {assignProps, defineControlProperties, generateID, padlockStyles} from "../controlUtils.js";
+import {addFontFile, fontFileTypes, getFonts, validateFonts} from "../fonts.js";
 
 const mkErr = (msg) => {
-    throw new Error(`[Font Control] ${msg}`);
+    throw new Error(`[FontFamily Control] ${msg}`);
 };
 
-const defaultFonts = Object.fromEntries(
-    Object.entries({
-        Sans: "sans-serif",
-        Serif: "serif",
-        Monospace: "monospace",
-        'Times New Roman': '"Times New Roman", serif',
-        Roboto: '"Roboto", sans-serif',
-        'Open Sans': '"Open Sans", sans-serif',
-        Merriweather: '"Merriweather", serif',
-        Inconsolata: '"Inconsolata", monospace',
-        Lora: '"Lora", serif',
-        Domine: '"Domine", serif',
-    }).sort(([a], [b]) => a.localeCompare(b))
-);
+/**
+ * Checks the general structure of a font-family string: one or more font names separated
+ * by commas, each optionally wrapped in paired single or double quotes, made of letters,
+ * digits, spaces, dashes and underscores.
+ *
+ * @param {any} val
+ * @returns {boolean}
+ */
+function isValidFontFamily(val) {
+    if (typeof val !== "string" || !val.trim()) return false;
+
+    const fontFamilyPattern = /^(\s*(['"]?)[\w\s\-]+?\2\s*,)*\s*(['"]?)[\w\s\-]+?\3\s*$/;
+    return fontFamilyPattern.test(val);
+}
 
 export const generateFontFamilyControl = Object.assign(
     /** Generates a FontFamily control set.
+     *
+     * Offers the fonts of the template entry's `fonts` list, or else every font known to
+     * the fonts module (see fonts.js), each shown in its own typeface. Fonts the user
+     * uploads are added to the list of every FontFamily control. A value missing from the
+     * list, such as a font from a shared link, is added to it. Without Choices.js the
+     * fonts are offered in a plain `<select>`.
      *
      * @param {string} cssSelector - String denoting the CSS Selector this control sets.
      * @param {string} cssParameter - String denoting the CSS Parameter this control sets.
@@ -30,13 +37,66 @@ export const generateFontFamilyControl = Object.assign(
      * @returns {HTMLDivElement}
      */
     function generateFontFamilyControl(cssSelector, cssParameter) {
-        if (!padlockTemplate || typeof Choices !== 'function') {
-            throw new Error("FontFamily control cannot render — required assets not ready. Await controlsReady first.");
+        if (!padlockTemplate) {
+            throw new Error("FontFamily control cannot render — padlock not loaded yet. Await controlsReady first.");
         }
 
         //-------------------------------------UTILITY FUNCTION-------------------------------------
 
-        let _defaultFont = 'sans-serif';
+        let _defaultFont = 'sans-serif',
+            _fonts = null // The template's own font list, if it has one
+
+        // Font list last rendered, to skip rebuilding an unchanged list
+        let renderedFonts = '';
+
+        /** @type {?Choices} */
+        let fontSelChoices = null;
+
+        /**
+         * Lists the fonts offered: the template's own list or the known fonts, then uploads.
+         *
+         * @returns {import("../fonts.js").FontEntry[]}
+         */
+        function offeredFonts() {
+            const fonts = getFonts();
+            return _fonts ? [..._fonts, ...fonts.filter(font => font.uploaded)] : fonts;
+        }
+
+        /**
+         * Rebuilds the font list if the offered fonts have changed.
+         *
+         * @param {string} [selected=fontSel.value] - The value about to be selected.
+         */
+        function renderFonts(selected = fontSel.value) {
+            const fonts = offeredFonts();
+            // The selected and default values are offered even when missing from the list
+            for (const value of new Set([selected, _defaultFont])) {
+                if (value && !fonts.some(font => font.value === value)) fonts.push({name: value, value});
+            }
+
+            const key = JSON.stringify(fonts);
+            if (key === renderedFonts) return;
+            renderedFonts = key;
+
+            const current = fontSel.value;
+            if (fontSelChoices) {
+                fontSelChoices.setChoices(fonts.map(({name, value}) => ({value, label: name})), 'value', 'label', true);
+                fontSelChoices.setChoiceByValue(current);
+            } else {
+                fontSel.replaceChildren(...fonts.map(({name, value}) =>
+                    Object.assign(document.createElement('option'), {value, textContent: name})));
+                if (current) fontSel.value = current;
+            }
+            showTypefaces();
+        }
+
+        /** Shows each font in the list, and the selected one, in its own typeface. */
+        function showTypefaces() {
+            for (const item of label.querySelectorAll('option, [data-value]')) {
+                const value = item.value ?? item.dataset.value;
+                if (value) item.style.fontFamily = value;
+            }
+        }
 
         let setID = generateID(cssSelector, cssParameter);
 
@@ -77,26 +137,22 @@ export const generateFontFamilyControl = Object.assign(
             minWidth: '0'
         });
 
-        Object.entries(defaultFonts).forEach(([fontName, fontType]) => {
-            const option = document.createElement('option');
-            option.value = fontType;
-            option.textContent = fontName;
-            fontSel.appendChild(option);
+        const uploadButton = document.createElement("button");
+        assignProps(uploadButton, {
+            id: `${setID}-upload`, type: 'button', textContent: '+', title: 'Add a font file'
+        }, {
+            marginInlineStart: '.25em'
         });
 
-        if (!document.getElementById('choicesStylesheet')) {
-            const link = document.createElement('link');
-            assignProps(link, {
-                id: 'choicesStylesheet',
-                rel: 'stylesheet',
-                href: 'https://cdn.jsdelivr.net/npm/choices.js/public/assets/styles/choices.min.css'
-            });
-            document.head.appendChild(link);
-        }
+        const fileInput = document.createElement("input");
+        assignProps(fileInput, {
+            id: `${setID}-file`, type: 'file', accept: fontFileTypes.join(','), hidden: true
+        });
 
         if (!document.getElementById('customChoicesStylesheet')) {
             const style = document.createElement('style');
             assignProps(style, {
+                id: 'customChoicesStylesheet',
                 textContent: `
             .choices {
                 flex-grow: 1;
@@ -119,90 +175,34 @@ export const generateFontFamilyControl = Object.assign(
                 return fontSel.value;
             },
             set(newVal) {
-                fontSelChoices.setChoiceByValue(newVal);
-                fontSel.dispatchEvent(new Event("change", {bubbles: true}));
-            }
-        });
-
-        Object.defineProperty(div, 'label', {
-            get() {
-                if (label.firstChild && label.firstChild.nodeType === Node.TEXT_NODE) {
-                    return label.firstChild.textContent;
-                }
-                return '';
-            },
-            set(text) {
-                let textNode = undefined;
-                if (label.firstChild) {
-                    textNode = label.firstChild.nodeType === Node.TEXT_NODE ? label.firstChild : null
+                if (!isValidFontFamily(newVal)) {
+                    console.warn(`[FontFamilyControl] Invalid font-family set: ${newVal}. Ignoring.`);
+                    return; // Ignore invalid input without throwing error
                 }
-                if (textNode) {
-                    textNode.textContent = text;
+
+                renderFonts(newVal);
+                if (fontSelChoices) {
+                    fontSelChoices.setChoiceByValue(newVal);
                 } else {
-                    label.insertBefore(document.createTextNode(text), label.firstChild);
+                    fontSel.value = newVal;
                 }
+                showTypefaces();
+                fontSel.dispatchEvent(new Event("change", {bubbles: true}));
             }
         });
 
-        Object.defineProperty(div, 'asString', {
-            get() {
-                return `${fontSel.value}`;
-            }
-        });
-
-        Object.defineProperty(div, 'cssPair', {
-            /** Get Object containing CSS selector and parameter
-             * @returns {{selector: string, parameter: string}} */
-            get() {
-                return splitID(div.id);
-            }
-        });
-
-        Object.defineProperty(div, 'cssSelector', {
-            /** Get CSS Selector value
-             * @returns {string} */
-            get() {
-                return div.cssPair.selector;
-            }
-        });
-
-        Object.defineProperty(div, 'cssParameter', {
-            /** Get CSS Parameter value
-             * @returns {string} */
-            get() {
-                return div.cssPair.parameter;
-            }
-        });
-
-        Object.defineProperty(div, 'cssDeclaration', {
-            /** Get CSS Declaration value
-             * @returns {string} */
-            get() {
-                return `${div.cssPair.parameter}: ${div.asString}`;
-            }
-        });
-
-        Object.defineProperty(div, 'locked', {
-            /** Get lock state of control set
-             * @returns {boolean} */
-            get() {
-                return padlock.getAttribute('data-locked') === 'true';
-            },
-            /** Set lock state for control set
-             * @param {boolean} value */
-            set(value) {
-                padlock.setAttribute('data-locked', value.toString());
-
-                fontSel.disabled = div.locked;
-                label.style.opacity = div.locked ? '0.5' : '1';
-                label.style.pointerEvents = div.locked ? 'none' : 'auto';
-            }
-        });
+        defineControlProperties(div, {label, padlock});
 
         div.reset = () => {
             div.value = _defaultFont;
         };
 
+        /** Removes the Choices.js dropdown, for a control that is no longer needed. */
+        div.destroy = () => {
+            fontSelChoices?.destroy();
+            fontSelChoices = null;
+        };
+
         /**
          * Save the default font configuration for this Font type control.
          *
@@ -211,63 +211,96 @@ export const generateFontFamilyControl = Object.assign(
          *  - Validates the general structure of the font-family string (letters, digits, spaces,
          *    commas, dashes, optional paired quotes).
          *  - Throws an error if the font-family string is missing or malformed.
+         *  - Checks the optional `fonts` list, which replaces the known fonts in this control.
          *  - Stores the font-family string as the default.
          *  - Optionally calls div.reset() if withReset is true.
          *
          * @function setDefaults
          * @param {Object} params - The configuration object.
          * @param {string} params.value - The font-family string.
+         * @param {import("../fonts.js").FontEntry[]} [params.fonts] - The fonts to offer
+         *        instead of the known fonts. Register them with `registerFonts` so web fonts load.
          * @param {boolean} [withReset=false] - If true, immediately applies defaults by calling div.reset().
          * @throws {Error} If `value` is missing or not a valid font-family string.
          * @returns {void} This function does not return anything.
          */
-        div.setDefaults = ({value}, withReset = false) => {
+        div.setDefaults = ({value, fonts}, withReset = false) => {
             const mkErrSD = (msg) => {
-                mkErrSD(`[setDefaults] ${msg}`);
-            }
-
-            const isValidFontFamily = (val) => {
-                if (typeof val !== "string" || !val.trim()) return false;
-
-                // Regex explanation:
-                // - Matches one or more font names separated by commas
-                // - Each font name optionally wrapped in single or double quotes (paired)
-                // - Font names contain letters, digits, spaces, dash, underscore
-                const fontFamilyPattern = /^(\s*(['"]?)[\w\s\-]+?\2\s*,)*\s*(['"]?)[\w\s\-]+?\3\s*$/;
-                return fontFamilyPattern.test(val);
+                mkErr(`[setDefaults] ${msg}`);
             };
 
             if (!isValidFontFamily(value)) {
-                mkErrSD(`[setDefaults] Invalid font-family string: "${value}"`);
+                mkErrSD(`Invalid font-family string: "${value}"`);
+            }
+
+            if (fonts !== undefined) {
+                const problem = validateFonts(fonts);
+                if (problem) mkErrSD(`fonts ${problem}`);
             }
 
             _defaultFont = value;
+            _fonts = fonts === undefined ? null : structuredClone(fonts);
+            renderFonts();
 
             if (withReset) div.reset();
         };
 
         //-------------------------------------EVENT LISTENERS-------------------------------------
 
-        padlock.addEventListener("click", () => {
-            div.locked = !div.locked;
+        // Fonts uploaded or registered elsewhere show up the next time the list is opened
+        fontSel.addEventListener("showDropdown", renderFonts);
+        fontSel.addEventListener("showDropdown", showTypefaces);
+        fontSel.addEventListener("search", showTypefaces);
+        fontSel.addEventListener("change", showTypefaces);
+
+        uploadButton.addEventListener("click", () => fileInput.click());
+
+        fileInput.addEventListener("change", async (event) => {
+            event.stopPropagation(); // Only the font list reports changes
+            const [file] = fileInput.files;
+            fileInput.value = '';
+            if (!file) return;
+
+            try {
+                const font = await addFontFile(file);
+                renderFonts();
+                div.value = font.value;
+            } catch (error) {
+                console.warn(`[FontFamilyControl] ${error.message}`);
+            }
         });
 
-        //-------------------------------------SET DEFAULTS-------------------------------------
-
-
         //-------------------------------------ASSEMBLE CONTROL-------------------------------------
 
-        label.appendChild(fontSel);
+        label.append(fontSel, uploadButton, fileInput);
 
-        const fontSelChoices = new Choices(fontSel, {
-            searchEnabled: true,
-            itemSelectText: '',
-            shouldSort: true
-        });
+        renderFonts();
+        if (typeof Choices === 'function') {
+            addChoicesStylesheet();
+            fontSelChoices = new Choices(fontSel, {
+                searchEnabled: true,
+                itemSelectText: '',
+                shouldSort: true
+            });
+            showTypefaces();
+        } else {
+            // The plain list picks up new fonts when it gets focus, before it opens
+            fontSel.addEventListener("focus", renderFonts);
+        }
 
         div.append(padlock, label);
 
         return div;
     },
-    {use: 'style'}
+    {
+        use: 'style',
+        /** Template entry fields accepted by setDefaults. */
+        schema: {
+            required: ['value'],
+            properties: {
+                value: {type: 'string'},
+                fonts: {type: 'object'}
+            }
+        }
+    }
 );
\ No newline at end of file
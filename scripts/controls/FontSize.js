@@ -1,5 +1,5 @@
 import {padlockTemplate} from "../padlock.js";
-import {assignProps, generateID, padlockStyles, splitID} from "../controlUtils.js";
+import {assignProps, defineControlProperties, generateID, padlockStyles} from "../controlUtils.js";
 import {roundTo} from "../utilities.js";
 
 const mkErr = (msg) => {
@@ -100,7 +100,7 @@ export const generateFontSizeControl = Object.assign(
 
             div.refreshOptions();
 
-            if (withEvent) div.dispatchEvent(new Event('change'));
+            if (withEvent) div.dispatchEvent(new Event('change', {bubbles: true}));
         };
 
         //-------------------------------------DEFINE COMPONENTS-------------------------------------
@@ -180,24 +180,9 @@ export const generateFontSizeControl = Object.assign(
             }
         });
 
-        Object.defineProperty(div, 'label', {
-            get() {
-                if (label.firstChild && label.firstChild.nodeType === Node.TEXT_NODE) {
-                    return label.firstChild.textContent;
-                }
-                return '';
-            },
-            set(text) {
-                let textNode = undefined;
-                if (label.firstChild) {
-                    textNode = label.firstChild.nodeType === Node.TEXT_NODE ? label.firstChild : null
-                }
-                if (textNode) {
-                    textNode.textContent = text;
-                } else {
-                    label.insertBefore(document.createTextNode(text), label.firstChild);
-                }
-            }
+        defineControlProperties(div, {
+            label, padlock,
+            asString: () => `${div.value}${div.units}`
         });
 
         Object.defineProperty(div, 'min', {
@@ -242,60 +227,6 @@ export const generateFontSizeControl = Object.assign(
             }
         });
 
-        Object.defineProperty(div, 'asString', {
-            /** Get value of control set
-             * @returns {string} */
-            get() {
-                return `${div.value}${div.units}`;
-            }
-        });
-
-        Object.defineProperty(div, 'cssPair', {
-            /** Get Object containing CSS selector and parameter
-             * @returns {{selector: string, parameter: string}} */
-            get() {
-                return splitID(div.id);
-            }
-        });
-        Object.defineProperty(div, 'cssSelector', {
-            /** Get CSS Selector value
-             * @returns {string} */
-            get() {
-                return div.cssPair.selector;
-            }
-        });
-        Object.defineProperty(div, 'cssParameter', {
-            /** Get CSS Parameter value
-             * @returns {string} */
-            get() {
-                return div.cssPair.parameter;
-            }
-        });
-        Object.defineProperty(div, 'cssDeclaration', {
-            /** Get CSS Declaration value
-             * @returns {string} */
-            get() {
-                return `${div.cssPair.parameter}: ${div.asString}`;
-            }
-        });
-
-        Object.defineProperty(div, 'locked', {
-            /** Get lock state of control set
-             * @returns {boolean} */
-            get() {
-                return padlock.getAttribute('data-locked') === 'true';
-            }, /** Set lock state for control set
-             * @param {boolean} value */
-            set(value) {
-                padlock.setAttribute('data-locked', value.toString());
-
-                sizeInput.disabled = div.locked;
-                sizeSlider.disabled = div.locked;
-                label.style.opacity = div.locked ? '0.5' : '1'
-                label.style.pointerEvents = div.locked ? 'none' : 'auto';
-            }
-        });
-
         div.reset = () => {
 
             Object.assign(div, {
@@ -464,10 +395,6 @@ export const generateFontSizeControl = Object.assign(
 
         //-------------------------------------EVENT LISTENERS-------------------------------------
 
-        padlock.addEventListener("click", () => {
-            div.locked = !div.locked;
-        });
-
         sizeInput.addEventListener("input", () => {
             div.value = parseFloat(sizeInput.value);
         });
@@ -492,5 +419,17 @@ export const generateFontSizeControl = Object.assign(
 
         return div;
     },
-    {use: 'style'}
+    {
+        use: 'style',
+        /** Template entry fields accepted by setDefaults. */
+        schema: {
+            required: ['units', 'min', 'max', 'value'],
+            properties: {
+                units: {enum: ['px', 'em']},
+                min: {type: 'numeric', minimum: 0},
+                max: {type: 'numeric', minimum: 0},
+                value: {type: 'numeric', minimum: 0}
+            }
+        }
+    }
 );
@@ -0,0 +1,308 @@
+import {padlockTemplate} from "../padlock.js";
+import {assignProps, defineControlProperties, generateID, padlockStyles} from "../controlUtils.js";
+
+const mkErr = (msg) => {
+    throw new Error(`[FontWeight Control] ${msg}`);
+};
+
+/** Named weights offered in the weight list, by value. */
+const namedWeights = {
+    normal: 'Normal',
+    bold: 'Bold',
+    100: '100 Thin',
+    200: '200 Extra Light',
+    300: '300 Light',
+    400: '400 Regular',
+    500: '500 Medium',
+    600: '600 Semi Bold',
+    700: '700 Bold',
+    800: '800 Extra Bold',
+    900: '900 Black'
+};
+
+/** Font styles the style toggle cycles through, with the text shown for each. */
+const fontStyles = {
+    normal: 'Upright',
+    italic: 'Italic',
+    oblique: 'Oblique'
+};
+
+/** Numeric weights CSS accepts. */
+const minimumWeight = 1;
+const maximumWeight = 1000;
+
+export const generateFontWeightControl = Object.assign(
+    /** Generates a FontWeight control set.
+     *
+     * Offers the named weights in a list and, once `weightRange` is set for a variable font,
+     * a slider for any weight in that range. A toggle cycles the font style between upright,
+     * italic and oblique.
+     *
+     * The style is written alongside the weight, so `cssDeclarations` holds a `font-style`
+     * declaration as well whenever the style is not `normal`.
+     *
+     * @param {string} cssSelector - String denoting the CSS Selector this control sets.
+     * @param {string} cssParameter - String denoting the CSS Parameter this control sets.
+     * @returns {HTMLDivElement}
+     */
+    function generateFontWeightControl(cssSelector, cssParameter) {
+        if (!padlockTemplate) {
+            throw new Error("Padlock SVG not loaded yet — wait for controlsReady before calling.");
+        }
+
+        //-------------------------------------UTILITY FUNCTION-------------------------------------
+
+        let _value = 'normal',
+            _fontStyle = 'normal',
+            _weightRange = null
+
+        // Defaults to reset to
+        let _defaultValue = 'normal',
+            _defaultFontStyle = 'normal'
+
+        /**
+         * Normalizes a weight to a keyword or a number, or returns null if it is not a valid weight.
+         *
+         * @param {string|number} weight
+         * @returns {?(string|number)}
+         */
+        function parseWeight(weight) {
+            if (weight === 'normal' || weight === 'bold') return weight;
+
+            const num = typeof weight === 'number' ? weight : Number(weight);
+            if (typeof weight === 'string' && !weight.trim()) return null;
+            if (!Number.isFinite(num) || num < minimumWeight || num > maximumWeight) return null;
+            return Math.round(num);
+        }
+
+        /**
+         * Returns the numeric weight a keyword stands for.
+         *
+         * @param {string|number} weight
+         * @returns {number}
+         */
+        function numericWeight(weight) {
+            return {normal: 400, bold: 700}[weight] ?? weight;
+        }
+
+        const setID = generateID(cssSelector, cssParameter);
+
+        const updateControls = (withEvent = false) => {
+            // Weights outside the named list get an option of their own
+            const named = Object.hasOwn(namedWeights, _value);
+            customOption.hidden = named;
+            customOption.value = named ? '' : _value.toString();
+            customOption.textContent = named ? '' : `${_value}`;
+            weightSel.value = _value.toString();
+
+            weightSlider.hidden = !_weightRange;
+            if (_weightRange) {
+                Object.assign(weightSlider, {
+                    min: _weightRange[0].toString(),
+                    max: _weightRange[1].toString(),
+                    step: '1',
+                    value: numericWeight(_value).toString()
+                });
+            }
+
+            styleToggle.textContent = fontStyles[_fontStyle];
+            styleToggle.setAttribute('aria-pressed', (_fontStyle !== 'normal').toString());
+            styleToggle.style.fontStyle = _fontStyle;
+
+            if (withEvent) div.dispatchEvent(new Event('change', {bubbles: true}));
+        };
+
+        //-------------------------------------DEFINE COMPONENTS-------------------------------------
+
+        const div = document.createElement("div");
+        assignProps(div, {
+            id: setID, 'data-control': 'FontWeight',
+        }, {
+            display: "inline-block", margin: '.25em',
+        });
+
+        const padlock = padlockTemplate.cloneWith({
+            id: `${setID}-padlock`, 'data-locked': 'false'
+        });
+        Object.assign(padlock.style, padlockStyles);
+
+        const label = document.createElement("label");
+        assignProps(label, {
+            id: `${setID}-label`,
+            textContent: 'Font Weight',
+            for: `${setID}-input`
+        }, {
+            userSelect: 'none'
+        });
+
+        const weightSel = document.createElement("select");
+        assignProps(weightSel, {
+            id: `${setID}-input`
+        }, {
+            marginInline: '.25em'
+        });
+
+        Object.entries(namedWeights).forEach(([value, text]) => {
+            weightSel.appendChild(Object.assign(document.createElement('option'), {value, textContent: text}));
+        });
+
+        const customOption = weightSel.appendChild(document.createElement('option'));
+        customOption.hidden = true;
+
+        const styleToggle = document.createElement("button");
+        assignProps(styleToggle, {
+            id: `${setID}-style`, type: 'button', title: 'Font style'
+        }, {
+            minWidth: '5em'
+        });
+
+        const weightSlider = document.createElement("input");
+        assignProps(weightSlider, {
+            id: `${setID}-slider`, type: "range"
+        }, {
+            width: "100%"
+        });
+
+        //-------------------------------------ADD PROPERTIES-------------------------------------
+
+        Object.defineProperty(div, 'value', {
+            /** Get the weight: `'normal'`, `'bold'` or a number
+             * @returns {string|number} */
+            get() {
+                return _value;
+            },
+            set(val) {
+                const weight = parseWeight(val);
+                if (weight === null) {
+                    console.warn(`[FontWeightControl] Invalid weight set: ${val}. Ignoring.`);
+                    return; // Ignore invalid input without throwing error
+                }
+
+                _value = weight;
+                updateControls(true);
+            }
+        });
+
+        Object.defineProperty(div, 'fontStyle', {
+            /** Get the font style
+             * @returns {'normal'|'italic'|'oblique'} */
+            get() {
+                return _fontStyle;
+            },
+            set(val) {
+                if (!Object.hasOwn(fontStyles, val)) {
+                    console.warn(`[FontWeightControl] Unsupported font style: ${val}`);
+                    return;
+                }
+
+                _fontStyle = val;
+                updateControls(true);
+            }
+        });
+
+        Object.defineProperty(div, 'weightRange', {
+            /** Get the weights the selected variable font supports, or null if it is not variable
+             * @returns {?[number, number]} */
+            get() {
+                return _weightRange ? [..._weightRange] : null;
+            },
+            /** Set to `[min, max]` for a variable font to show the weight slider; null hides it
+             * @param {?[number, number]} range */
+            set(range) {
+                const valid = Array.isArray(range) && range.length === 2 &&
+                    range.every(n => parseWeight(n) === n) && range[0] <= range[1];
+                if (range && !valid) {
+                    console.warn(`[FontWeightControl] Invalid weight range: ${JSON.stringify(range)}. Ignoring.`);
+                    return;
+                }
+
+                _weightRange = range ? [...range] : null;
+                updateControls();
+            }
+        });
+
+        defineControlProperties(div, {
+            label, padlock,
+            cssDeclarations: () => {
+                const declarations = [{property: div.cssPair.parameter, value: div.asString}];
+                if (_fontStyle !== 'normal') declarations.push({property: 'font-style', value: _fontStyle});
+                return declarations;
+            }
+        });
+
+        div.reset = () => {
+            Object.assign(div, {
+                value: _defaultValue,
+                fontStyle: _defaultFontStyle
+            })
+        };
+
+        /**
+         * Save the default configuration for this control.
+         *
+         * @function setDefaults
+         * @param {Object} params - Configuration object containing:
+         * @param {string|number} params.value - Default weight: `'normal'`, `'bold'` or a number from 1 to 1000.
+         * @param {'normal'|'italic'|'oblique'} [params.fontStyle='normal'] - Default font style.
+         * @param {boolean} [withReset=false] - If true, immediately applies defaults by calling `div.reset()`.
+         * @throws {Error} If the weight is missing or invalid, or the font style is not supported.
+         * @returns {void} Does not return anything.
+         */
+        div.setDefaults = ({value, fontStyle = 'normal'}, withReset = false) => {
+            const mkErrSD = (msg) => {
+                mkErr(`[setDefaults] ${msg}`);
+            };
+
+            const weight = parseWeight(value);
+            if (weight === null) {
+                mkErrSD(`Invalid weight "${value}". Allowed: 'normal', 'bold' or a number from ${minimumWeight} to ${maximumWeight}.`);
+            }
+            if (!Object.hasOwn(fontStyles, fontStyle)) {
+                mkErrSD(`Invalid font style "${fontStyle}". Allowed: ${Object.keys(fontStyles).join(', ')}.`);
+            }
+
+            _defaultValue = weight;
+            _defaultFontStyle = fontStyle;
+
+            if (withReset) div.reset();
+        };
+
+        //-------------------------------------EVENT LISTENERS-------------------------------------
+
+        weightSel.addEventListener("change", (event) => {
+            event.stopPropagation(); // The control dispatches its own change event
+            div.value = weightSel.value;
+        });
+
+        weightSlider.addEventListener("input", () => {
+            div.value = parseFloat(weightSlider.value);
+        });
+
+        styleToggle.addEventListener("click", () => {
+            const styles = Object.keys(fontStyles);
+            div.fontStyle = styles[(styles.indexOf(div.fontStyle) + 1) % styles.length];
+        });
+
+        //-------------------------------------SET DEFAULTS-------------------------------------
+
+        div.setDefaults({value: 'normal'}, true);
+
+        //-------------------------------------ASSEMBLE CONTROL-------------------------------------
+
+        label.append(weightSel, styleToggle, document.createElement('br'), weightSlider);
+
+        div.append(padlock, label);
+
+        return div;
+    },
+    {
+        use: 'style',
+        /** Template entry fields accepted by setDefaults. */
+        schema: {
+            required: ['value'],
+            properties: {
+                fontStyle: {enum: ['normal', 'italic', 'oblique']}
+            }
+        }
+    }
+);
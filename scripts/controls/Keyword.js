@@ -0,0 +1,260 @@
+import {padlockTemplate} from "../padlock.js";
+import {Choices, addChoicesStylesheet} from "../choices.js";
+import {assignProps, defineControlProperties, generateID, padlockStyles} from "../controlUtils.js";
+import {capitalize} from "../utilities.js";
+
+const mkErr = (msg) => {
+    throw new Error(`[Keyword Control] ${msg}`);
+};
+
+/** Ways the keywords can be offered. */
+const displays = ['buttons', 'dropdown'];
+
+/** Most keywords shown as buttons when the template does not choose a display. */
+const maximumButtons = 4;
+
+/** Fewest keywords for which the dropdown offers a search box. */
+const searchThreshold = 8;
+
+export const generateKeywordControl = Object.assign(
+    /** Generates a Keyword control set for any property whose values are a list of keywords,
+     * such as `text-align`, `text-transform` or `list-style-type`.
+     *
+     * The keywords come from the template entry's `options`. They are shown as a row of
+     * buttons or, for longer lists or when the entry asks for `"display": "dropdown"`, as a
+     * Choices.js dropdown (a plain `<select>` when Choices.js could not be loaded).
+     *
+     * @param {string} cssSelector - String denoting the CSS Selector this control sets.
+     * @param {string} cssParameter - String denoting the CSS Parameter this control sets.
+     * @returns {HTMLDivElement}
+     */
+    function generateKeywordControl(cssSelector, cssParameter) {
+        if (!padlockTemplate) {
+            throw new Error("Padlock SVG not loaded yet — wait for controlsReady before calling.");
+        }
+
+        //-------------------------------------UTILITY FUNCTION-------------------------------------
+
+        let _value = '',
+            _options = [],
+            _display = 'buttons'
+
+        // Defaults to reset to
+        let _defaultValue = ''
+
+        /** @type {?Choices} */
+        let keywordChoices = null;
+
+        const setID = generateID(cssSelector, cssParameter);
+
+        const updateControls = (withEvent = false) => {
+            for (const button of buttonGroup.children) {
+                const selected = button.value === _value;
+                button.setAttribute('aria-pressed', selected.toString());
+                Object.assign(button.style, {
+                    background: selected ? '#555' : '',
+                    color: selected ? '#fff' : ''
+                });
+            }
+            if (keywordChoices) keywordChoices.setChoiceByValue(_value);
+            keywordSel.value = _value;
+
+            if (withEvent) div.dispatchEvent(new Event('change', {bubbles: true}));
+        };
+
+        /** Rebuilds the buttons or dropdown for the current keywords and display. */
+        function renderOptions() {
+            if (keywordChoices) {
+                keywordChoices.destroy();
+                keywordChoices = null;
+            }
+
+            buttonGroup.replaceChildren(...(_display === 'buttons' ? _options : []).map((keyword, i) => {
+                const button = document.createElement('button');
+                assignProps(button, {
+                    id: `${setID}-option${i}`, type: 'button', value: keyword, textContent: keyword,
+                    disabled: div.locked
+                }, {
+                    marginInline: '0',
+                    borderRadius: i === 0 ? '4px 0 0 4px' : i === _options.length - 1 ? '0 4px 4px 0' : '0'
+                });
+                button.addEventListener('click', () => {
+                    div.value = keyword;
+                });
+                return button;
+            }));
+            buttonGroup.hidden = _display !== 'buttons';
+
+            keywordSel.replaceChildren(...(_display === 'dropdown' ? _options : []).map(keyword =>
+                Object.assign(document.createElement('option'), {value: keyword, textContent: keyword})));
+            keywordSel.hidden = _display !== 'dropdown';
+
+            if (_display === 'dropdown' && typeof Choices === 'function') {
+                addChoicesStylesheet();
+                keywordChoices = new Choices(keywordSel, {
+                    searchEnabled: _options.length >= searchThreshold,
+                    itemSelectText: '',
+                    shouldSort: false
+                });
+            }
+        }
+
+        //-------------------------------------DEFINE COMPONENTS-------------------------------------
+
+        const div = document.createElement("div");
+        assignProps(div, {
+            id: setID, 'data-control': 'Keyword',
+        }, {
+            display: "inline-block", margin: '.25em',
+        });
+
+        const padlock = padlockTemplate.cloneWith({
+            id: `${setID}-padlock`, 'data-locked': 'false'
+        });
+        Object.assign(padlock.style, padlockStyles);
+
+        const label = document.createElement("label");
+        assignProps(label, {
+            id: `${setID}-label`,
+            textContent: capitalize(cssParameter.replace(/-/g, ' ')),
+            for: `${setID}-input`
+        }, {
+            userSelect: 'none'
+        });
+
+        const buttonGroup = document.createElement('span');
+        assignProps(buttonGroup, {
+            id: `${setID}-buttons`, role: 'group'
+        }, {
+            display: 'inline-flex',
+            marginInline: '.25em'
+        });
+
+        const keywordSel = document.createElement('select');
+        assignProps(keywordSel, {
+            id: `${setID}-input`
+        });
+
+        //-------------------------------------ADD PROPERTIES-------------------------------------
+
+        Object.defineProperty(div, 'value', {
+            /** Get the selected keyword
+             * @returns {string} */
+            get() {
+                return _value;
+            },
+            set(val) {
+                if (!_options.includes(val)) {
+                    console.warn(`[KeywordControl] Keyword "${val}" is not one of: ${_options.join(', ')}. Ignoring.`);
+                    return; // Ignore invalid input without throwing error
+                }
+
+                _value = val;
+                updateControls(true);
+            }
+        });
+
+        Object.defineProperty(div, 'options', {
+            /** Get the keywords offered
+             * @returns {string[]} */
+            get() {
+                return [..._options];
+            }
+        });
+
+        defineControlProperties(div, {label, padlock});
+
+        div.reset = () => {
+            div.value = _defaultValue;
+        };
+
+        /** Removes the Choices.js dropdown, for a control that is no longer needed. */
+        div.destroy = () => {
+            keywordChoices?.destroy();
+            keywordChoices = null;
+        };
+
+        /**
+         * Save the default configuration for this control.
+         *
+         * The keywords are taken as given; they are not checked against the CSS property.
+         * Leaving out `options` keeps the current keywords, so an entry's `print` overrides only
+         * need to name a different `value`.
+         *
+         * @function setDefaults
+         * @param {Object} params - Configuration object containing:
+         * @param {string[]} [params.options] - The keywords offered, in the order shown.
+         *                                      Required the first time.
+         * @param {string} params.value - The default keyword; must be one of `options`.
+         * @param {'buttons'|'dropdown'} [params.display] - How the keywords are offered. Defaults
+         *                                                  to buttons for up to four keywords.
+         * @param {boolean} [withReset=false] - If true, immediately applies defaults by calling `div.reset()`.
+         * @throws {Error} If the keywords, value or display are missing or invalid.
+         * @returns {void} Does not return anything.
+         */
+        div.setDefaults = ({options = _options, value, display}, withReset = false) => {
+            const mkErrSD = (msg) => {
+                mkErr(`[setDefaults] ${msg}`);
+            };
+
+            const validKeyword = keyword => typeof keyword === 'string' && /^[a-z-]+$/i.test(keyword);
+            if (!Array.isArray(options) || !options.length || !options.every(validKeyword)) {
+                mkErrSD(`options must be a non-empty list of CSS keywords (got: ${JSON.stringify(options)}).`);
+            }
+            if (new Set(options).size !== options.length) {
+                mkErrSD(`options must not repeat a keyword (got: ${options.join(', ')}).`);
+            }
+            if (!options.includes(value)) {
+                mkErrSD(`Invalid keyword "${value}". Allowed: ${options.join(', ')}.`);
+            }
+            if (display !== undefined && !displays.includes(display)) {
+                mkErrSD(`Invalid display "${display}". Allowed: ${displays.join(', ')}.`);
+            }
+
+            const newDisplay = display ?? (options.length <= maximumButtons ? 'buttons' : 'dropdown');
+            if (newDisplay !== _display || options.join() !== _options.join()) {
+                _options = [...options];
+                _display = newDisplay;
+                renderOptions();
+                if (!_options.includes(_value)) _value = value;
+                updateControls();
+            }
+
+            _defaultValue = value;
+
+            if (withReset) div.reset();
+        };
+
+        //-------------------------------------EVENT LISTENERS-------------------------------------
+
+        keywordSel.addEventListener("change", (event) => {
+            event.stopPropagation(); // The control dispatches its own change event
+            if (keywordSel.value !== _value) div.value = keywordSel.value;
+        });
+
+        //-------------------------------------ASSEMBLE CONTROL-------------------------------------
+
+        // Assembled before the defaults are set, since Choices.js needs the select in place
+        label.append(buttonGroup, keywordSel);
+
+        div.append(padlock, label);
+
+        //-------------------------------------SET DEFAULTS-------------------------------------
+
+        div.setDefaults({options: ['normal'], value: 'normal'}, true);
+
+        return div;
+    },
+    {
+        use: 'style',
+        /** Template entry fields accepted by setDefaults. */
+        schema: {
+            required: ['options', 'value'],
+            properties: {
+                options: {type: 'object'},
+                value: {type: 'string'},
+                display: {enum: displays}
+            }
+        }
+    }
+);
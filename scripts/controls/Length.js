@@ -0,0 +1,341 @@
+import {padlockTemplate} from "../padlock.js";
+import {assignProps, defineControlProperties, generateID, padlockStyles} from "../controlUtils.js";
+import {capitalize, decimalPlaces, roundTo} from "../utilities.js";
+
+const mkErr = (msg) => {
+    throw new Error(`[Length Control] ${msg}`);
+};
+
+/** The allowed unit types for lengths.
+ * @typedef {'px'|'em'|'rem'|'pt'|'%'|'vw'} allowedUnits */
+
+/**
+ * The range and step offered for one unit.
+ *
+ * @typedef {Object} UnitRange
+ * @property {number} min
+ * @property {number} max
+ * @property {number} step - Also sets how many decimals values are rounded to.
+ */
+
+/** Ranges used for units a template does not give a range for, in the order offered.
+ * @type {Object<allowedUnits, UnitRange>} */
+const defaultRanges = {
+    px: {min: 0, max: 200, step: 1},
+    em: {min: 0, max: 12, step: 0.1},
+    rem: {min: 0, max: 12, step: 0.1},
+    pt: {min: 0, max: 150, step: 1},
+    '%': {min: 0, max: 100, step: 1},
+    vw: {min: 0, max: 100, step: 1}
+};
+
+/** Sizes assumed until the editor passes in the preview's own, in px. */
+const defaultBaseSize = 16;
+const defaultViewportWidth = 1280;
+
+export const generateLengthControl = Object.assign(
+    /** Generates a Length control set for any property that takes a length, such as
+     * `width`, `text-indent` or `margin-left`.
+     *
+     * Values are kept in the units chosen; switching units converts the value. `em` and
+     * `rem` convert using `baseSize`, and `%` and `vw` using `viewportWidth`, which the editor
+     * sets from the preview document. Each unit has its own min, max and step.
+     *
+     * @param {string} cssSelector - String denoting the CSS Selector this control sets.
+     * @param {string} cssParameter - String denoting the CSS Parameter this control sets.
+     * @returns {HTMLDivElement}
+     */
+    function generateLengthControl(cssSelector, cssParameter) {
+        if (!padlockTemplate) {
+            throw new Error("Padlock SVG not loaded yet — wait for controlsReady before calling.");
+        }
+
+        //-------------------------------------UTILITY FUNCTION-------------------------------------
+
+        let _value = 0,
+            _units = 'px',
+            _ranges = structuredClone(defaultRanges),
+            _baseSize = defaultBaseSize,
+            _viewportWidth = defaultViewportWidth
+
+        // Defaults to reset to
+        let _defaultValue = 0,
+            _defaultUnits = 'px'
+
+        /** Returns how many px one of the given units is
+         *
+         * @param {allowedUnits} units
+         * @returns {number}
+         */
+        function pxPerUnit(units) {
+            switch (units) {
+                case 'em':
+                case 'rem':
+                    return _baseSize;
+                case 'pt':
+                    return 4 / 3;
+                case '%':
+                case 'vw':
+                    return _viewportWidth / 100;
+                default:
+                    return 1;
+            }
+        }
+
+        /** Rounds to the step of the given units and keeps the result within their range
+         *
+         * @param {number} num
+         * @param {allowedUnits} [units=_units]
+         * @returns {number}
+         */
+        function fitToRange(num, units = _units) {
+            const {min, max, step} = _ranges[units];
+            return Math.max(Math.min(roundTo(num, decimalPlaces(step)), max), min);
+        }
+
+        const setID = generateID(cssSelector, cssParameter);
+
+        const updateControls = (withEvent = false) => {
+            const {min, max, step} = _ranges[_units];
+            const settings = {
+                min: min.toString(),
+                max: max.toString(),
+                step: step.toString(),
+                value: _value.toString()
+            };
+
+            Object.assign(lengthInput, settings);
+            Object.assign(lengthSlider, settings);
+            unitSel.value = _units;
+
+            if (withEvent) div.dispatchEvent(new Event('change', {bubbles: true}));
+        };
+
+        //-------------------------------------DEFINE COMPONENTS-------------------------------------
+
+        const div = document.createElement("div");
+        assignProps(div, {
+            id: setID, 'data-control': 'Length',
+        }, {
+            display: "inline-block", margin: '.25em',
+        });
+
+        const padlock = padlockTemplate.cloneWith({
+            id: `${setID}-padlock`, 'data-locked': 'false'
+        });
+        Object.assign(padlock.style, padlockStyles);
+
+        const label = document.createElement("label");
+        assignProps(label, {
+            id: `${setID}-label`,
+            textContent: capitalize(cssParameter.replace(/-/g, ' ')),
+            for: `${setID}-input`
+        }, {
+            userSelect: 'none'
+        });
+
+        const lengthInput = document.createElement("input");
+        assignProps(lengthInput, {
+            id: `${setID}-input`, type: "number"
+        }, {
+            width: "4em"
+        });
+
+        const unitSel = document.createElement("select");
+        assignProps(unitSel, {
+            id: `${setID}-units`, title: 'Units'
+        });
+        Object.keys(defaultRanges).forEach(unit => {
+            unitSel.appendChild(Object.assign(document.createElement('option'), {value: unit, textContent: unit}));
+        });
+
+        const lengthSlider = document.createElement("input");
+        assignProps(lengthSlider, {
+            id: `${setID}-slider`, type: "range"
+        }, {
+            width: "100%"
+        });
+
+        //-------------------------------------ADD PROPERTIES-------------------------------------
+
+        Object.defineProperty(div, 'value', {
+            /** Get the length in the current units
+             * @returns {number} */
+            get() {
+                return _value;
+            },
+            set(val) {
+                // Parse input to number explicitly
+                const numVal = typeof val === 'number' ? val : parseFloat(val);
+                if (!Number.isFinite(numVal)) {
+                    console.warn(`[LengthControl] Invalid value set: ${val}. Ignoring.`);
+                    return; // Ignore invalid input without throwing error
+                }
+
+                _value = fitToRange(numVal);
+                updateControls(true);
+            }
+        });
+
+        Object.defineProperty(div, 'units', {
+            get() {
+                return _units;
+            },
+            /** Switch units, converting the value to the new units
+             * @param {allowedUnits} newUnit */
+            set(newUnit) {
+                if (!Object.hasOwn(_ranges, newUnit)) {
+                    console.warn(`Unsupported unit: ${newUnit}`);
+                    return;
+                }
+
+                _value = fitToRange(_value * pxPerUnit(_units) / pxPerUnit(newUnit), newUnit);
+                _units = newUnit;
+                updateControls(true);
+            }
+        });
+
+        Object.defineProperty(div, 'baseSize', {
+            /** Get the size of one em or rem, in px
+             * @returns {number} */
+            get() {
+                return _baseSize;
+            },
+            /** Set the size of one em or rem, normally the preview's root font size
+             * @param {number} px */
+            set(px) {
+                if (!Number.isFinite(px) || px <= 0) {
+                    console.warn(`[LengthControl] Invalid base size: ${px}. Ignoring.`);
+                    return;
+                }
+                _baseSize = px;
+            }
+        });
+
+        Object.defineProperty(div, 'viewportWidth', {
+            /** Get the width `%` and `vw` convert against, in px
+             * @returns {number} */
+            get() {
+                return _viewportWidth;
+            },
+            /** Set the width `%` and `vw` convert against, normally the preview's width
+             * @param {number} px */
+            set(px) {
+                if (!Number.isFinite(px) || px <= 0) {
+                    console.warn(`[LengthControl] Invalid viewport width: ${px}. Ignoring.`);
+                    return;
+                }
+                _viewportWidth = px;
+            }
+        });
+
+        defineControlProperties(div, {
+            label, padlock,
+            asString: () => _value === 0 ? '0' : `${_value}${_units}`
+        });
+
+        div.reset = () => {
+            Object.assign(div, {
+                units: _defaultUnits,
+                value: _defaultValue
+            })
+        };
+
+        /**
+         * Save the default configuration for this control.
+         *
+         * `ranges` replace the built-in range of the units they name; the others keep theirs
+         * (0 to 200px, 12em/rem, 150pt or 100%/vw). The ranges take effect immediately.
+         *
+         * @function setDefaults
+         * @param {Object} params - Configuration object containing:
+         * @param {allowedUnits} params.units - Unit type for the default value.
+         * @param {number|string} params.value - Default value in the given units, within their range.
+         * @param {Object<allowedUnits, UnitRange>} [params.ranges] - Min, max and step per unit.
+         * @param {boolean} [withReset=false] - If true, immediately applies defaults by calling `div.reset()`.
+         * @throws {Error} If any parameter is missing or invalid, or the value is outside its range.
+         * @returns {void} Does not return anything.
+         */
+        div.setDefaults = ({units, value, ranges = {}}, withReset = false) => {
+            const mkErrSD = (msg) => {
+                mkErr(`[setDefaults] ${msg}`);
+            };
+
+            if (!Object.hasOwn(defaultRanges, units)) {
+                mkErrSD(`Invalid units "${units}". Allowed: ${Object.keys(defaultRanges).join(', ')}.`);
+            }
+
+            const nValue = typeof value === 'number' ? value : parseFloat(value);
+            if (!Number.isFinite(nValue)) mkErrSD(`value must be a finite number (got: ${String(value)}).`);
+
+            if (typeof ranges !== 'object' || ranges === null || Array.isArray(ranges)) {
+                mkErrSD(`ranges must be an object of ranges keyed by units (got: ${JSON.stringify(ranges)}).`);
+            }
+            for (const [unit, range] of Object.entries(ranges)) {
+                if (!Object.hasOwn(defaultRanges, unit)) {
+                    mkErrSD(`ranges names unknown units "${unit}". Allowed: ${Object.keys(defaultRanges).join(', ')}.`);
+                }
+                const {min, max, step} = range ?? {};
+                if (![min, max, step].every(Number.isFinite)) {
+                    mkErrSD(`ranges.${unit} needs finite numbers for min, max and step (got: ${JSON.stringify(range)}).`);
+                }
+                if (min >= max) mkErrSD(`ranges.${unit}: min (${min}) must be less than max (${max}).`);
+                if (step <= 0) mkErrSD(`ranges.${unit}: step must be greater than 0 (got: ${step}).`);
+            }
+
+            const newRanges = {...structuredClone(defaultRanges), ...structuredClone(ranges)};
+            const {min, max} = newRanges[units];
+            if (nValue < min || nValue > max) {
+                mkErrSD(`value (${nValue}${units}) is outside the range [${min}${units}, ${max}${units}].`);
+            }
+
+            _ranges = newRanges;
+            _value = fitToRange(_value);
+            updateControls();
+
+            _defaultUnits = units;
+            _defaultValue = fitToRange(nValue, units);
+
+            if (withReset) div.reset();
+        };
+
+        //-------------------------------------EVENT LISTENERS-------------------------------------
+
+        lengthInput.addEventListener("input", () => {
+            div.value = parseFloat(lengthInput.value);
+        });
+
+        lengthSlider.addEventListener("input", () => {
+            div.value = parseFloat(lengthSlider.value);
+        });
+
+        unitSel.addEventListener("change", (event) => {
+            event.stopPropagation(); // The control dispatches its own change event
+            div.units = unitSel.value;
+        });
+
+        //-------------------------------------SET DEFAULTS-------------------------------------
+
+        div.setDefaults({units: 'px', value: 0}, true);
+
+        //-------------------------------------ASSEMBLE CONTROL-------------------------------------
+
+        label.append(lengthInput, unitSel, document.createElement('br'), lengthSlider);
+
+        div.append(padlock, label);
+
+        return div;
+    },
+    {
+        use: 'style',
+        /** Template entry fields accepted by setDefaults. */
+        schema: {
+            required: ['units', 'value'],
+            properties: {
+                units: {enum: Object.keys(defaultRanges)},
+                value: {type: 'number'},
+                ranges: {type: 'object'}
+            }
+        }
+    }
+);
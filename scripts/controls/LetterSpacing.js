@@ -0,0 +1,23 @@
+import {defaultUnitSize, textSpacingGenerator} from "./TextSpacing.js";
+
+/** Generates a LetterSpacing control set.
+ *
+ * Spacing can be given in ems, which scale with the font size, or in pixels. Negative
+ * values tighten the text. Templates may allow -0.5em to 1em at the default font size.
+ *
+ * @function generateLetterSpacingControl
+ * @param {string} cssSelector - String denoting the CSS Selector this control sets.
+ * @param {string} cssParameter - String denoting the CSS Parameter this control sets.
+ * @returns {HTMLDivElement}
+ */
+export const generateLetterSpacingControl = textSpacingGenerator({
+    controlType: 'LetterSpacing',
+    labelText: 'Letter Spacing',
+    unitTypes: {
+        em: {text: 'em', toPx: defaultUnitSize, precision: 2, step: 0.01},
+        px: {text: 'px', toPx: 1, precision: 1, step: 0.5}
+    },
+    minimumMin: -0.5 * defaultUnitSize,
+    maximumMax: defaultUnitSize,
+    defaults: {units: 'em', min: -0.1, max: 0.5, value: 0}
+});
@@ -0,0 +1,25 @@
+import {defaultUnitSize, textSpacingGenerator} from "./TextSpacing.js";
+
+/** Generates a LineHeight control set.
+ *
+ * Line heights can be unitless (a multiple of the element's font size, the form CSS
+ * recommends because it scales with inherited font sizes), in ems, or in pixels. Templates
+ * may allow 0 to 4 times the default font size.
+ *
+ * @function generateLineHeightControl
+ * @param {string} cssSelector - String denoting the CSS Selector this control sets.
+ * @param {string} cssParameter - String denoting the CSS Parameter this control sets.
+ * @returns {HTMLDivElement}
+ */
+export const generateLineHeightControl = textSpacingGenerator({
+    controlType: 'LineHeight',
+    labelText: 'Line Height',
+    unitTypes: {
+        '': {text: '×', toPx: defaultUnitSize, precision: 2, step: 0.05},
+        em: {text: 'em', toPx: defaultUnitSize, precision: 2, step: 0.05},
+        px: {text: 'px', toPx: 1, precision: 0, step: 1}
+    },
+    minimumMin: 0,
+    maximumMax: 4 * defaultUnitSize,
+    defaults: {units: '', min: 1, max: 3, value: 1.5}
+});
@@ -0,0 +1,425 @@
+import {padlockTemplate} from "../padlock.js";
+import {assignProps, defineControlProperties, generateID, padlockStyles} from "../controlUtils.js";
+import {roundTo} from "../utilities.js";
+
+const mkErr = (msg) => {
+    throw new Error(`[Shadow Control] ${msg}`);
+};
+
+// These are in px
+const maximumOffset = 100;
+const maximumBlur = 100;
+const maximumSpread = 50;
+
+/**
+ * One layer of a shadow. `spread` and `inset` only apply to `box-shadow`.
+ *
+ * @typedef {Object} ShadowLayer
+ * @property {number} x - Horizontal offset in px.
+ * @property {number} y - Vertical offset in px.
+ * @property {number} [blur=0] - Blur radius in px.
+ * @property {number} [spread=0] - Spread distance in px.
+ * @property {string} [color='#000000'] - Shadow color as `#rrggbb`.
+ * @property {number} [alpha=1] - Opacity of the color, from 0 to 1.
+ * @property {boolean} [inset=false] - Whether the shadow is drawn inside the box.
+ */
+
+/** Layer added by the "Add layer" button when there is none to copy. */
+const newLayer = {x: 2, y: 2, blur: 4, spread: 0, color: '#000000', alpha: 0.5, inset: false};
+
+const invalid = (msg) => {
+    throw new Error(msg);
+};
+
+/**
+ * Checks one shadow layer and fills in the fields it leaves out.
+ *
+ * @param {any} layer
+ * @param {number} index - Position of the layer, for error messages.
+ * @param {boolean} box - True for `box-shadow`, which allows spread and inset.
+ * @returns {ShadowLayer} The complete layer; without spread and inset for text shadows.
+ * @throws {Error} Describing the first problem found.
+ */
+function normalizeLayer(layer, index, box) {
+    const name = `Layer ${index + 1}`;
+    if (typeof layer !== 'object' || layer === null || Array.isArray(layer)) {
+        invalid(`${name} must be an object with x and y offsets.`);
+    }
+
+    const {x, y, blur = 0, spread = 0, color = '#000000', alpha = 1, inset = false} = layer;
+    const inRange = (num, min, max) => Number.isFinite(num) && num >= min && num <= max;
+
+    for (const [field, num] of Object.entries({x, y})) {
+        if (!inRange(num, -maximumOffset, maximumOffset)) {
+            invalid(`${name} ${field} must be a number from -${maximumOffset} to ${maximumOffset} (got: ${JSON.stringify(num)}).`);
+        }
+    }
+    if (!inRange(blur, 0, maximumBlur)) {
+        invalid(`${name} blur must be a number from 0 to ${maximumBlur} (got: ${JSON.stringify(blur)}).`);
+    }
+    if (!inRange(spread, -maximumSpread, maximumSpread)) {
+        invalid(`${name} spread must be a number from -${maximumSpread} to ${maximumSpread} (got: ${JSON.stringify(spread)}).`);
+    }
+    if (typeof color !== 'string' || !/^#[0-9a-f]{6}$/i.test(color)) {
+        invalid(`${name} color must be a hex color like #000000 (got: ${JSON.stringify(color)}).`);
+    }
+    if (!inRange(alpha, 0, 1)) {
+        invalid(`${name} alpha must be a number from 0 to 1 (got: ${JSON.stringify(alpha)}).`);
+    }
+    if (typeof inset !== 'boolean') {
+        invalid(`${name} inset must be true or false (got: ${JSON.stringify(inset)}).`);
+    }
+    if (!box && (spread !== 0 || inset)) {
+        invalid(`${name} uses spread or inset, which only box shadows support.`);
+    }
+
+    const result = {x: roundTo(x, 1), y: roundTo(y, 1), blur: roundTo(blur, 1)};
+    if (box) result.spread = roundTo(spread, 1);
+    Object.assign(result, {color: color.toLowerCase(), alpha: roundTo(alpha, 2)});
+    if (box) result.inset = inset;
+    return result;
+}
+
+/**
+ * Checks a list of shadow layers.
+ *
+ * @param {any} value
+ * @param {boolean} box - True for `box-shadow`.
+ * @returns {ShadowLayer[]}
+ * @throws {Error} Describing the first problem found.
+ */
+function normalizeLayers(value, box) {
+    if (!Array.isArray(value)) invalid(`Shadow must be a list of layers (got: ${JSON.stringify(value)}).`);
+    return value.map((layer, i) => normalizeLayer(layer, i, box));
+}
+
+/**
+ * Returns the CSS color for a layer's color and alpha.
+ *
+ * @param {ShadowLayer} layer
+ * @returns {string}
+ */
+function layerColor({color, alpha}) {
+    if (alpha === 1) return color;
+    const [r, g, b] = [1, 3, 5].map(i => parseInt(color.slice(i, i + 2), 16));
+    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
+
+/**
+ * Returns the value of a shadow declaration for a list of layers.
+ *
+ * @param {ShadowLayer[]} layers - Complete layers.
+ * @returns {string}
+ */
+function shadowCss(layers) {
+    if (!layers.length) return 'none';
+
+    const px = num => num === 0 ? '0' : `${num}px`;
+    return layers.map(layer => [
+        layer.inset ? 'inset' : null,
+        px(layer.x), px(layer.y), px(layer.blur),
+        'spread' in layer ? px(layer.spread) : null,
+        layerColor(layer)
+    ].filter(Boolean).join(' ')).join(', ');
+}
+
+export const generateShadowControl = Object.assign(
+    /** Generates a Shadow control set for `text-shadow` or `box-shadow`.
+     *
+     * Edits a list of shadow layers, each with its offsets, blur, color and opacity. Box
+     * shadows also have a spread and can be inset. Layers can be added, removed and moved
+     * up or down; the first layer is drawn on top. A swatch previews the shadow.
+     *
+     * @param {string} cssSelector - String denoting the CSS Selector this control sets.
+     * @param {string} cssParameter - String denoting the CSS Parameter this control sets.
+     * @returns {HTMLDivElement}
+     */
+    function generateShadowControl(cssSelector, cssParameter) {
+        if (!padlockTemplate) {
+            throw new Error("Padlock SVG not loaded yet — wait for controlsReady before calling.");
+        }
+
+        //-------------------------------------UTILITY FUNCTION-------------------------------------
+
+        // Spread and inset are only part of box shadows
+        const box = /^box-shadow/.test(cssParameter);
+
+        let _layers = []
+
+        // Defaults to reset to
+        let _defaultValue = []
+
+        const setID = generateID(cssSelector, cssParameter);
+
+        const updateControls = (withEvent = false) => {
+            renderLayers();
+            swatch.style[box ? 'boxShadow' : 'textShadow'] = shadowCss(_layers);
+
+            if (withEvent) div.dispatchEvent(new Event('change', {bubbles: true}));
+        };
+
+        /**
+         * Creates a labelled number input for one field of a layer.
+         *
+         * @param {number} index - Layer index.
+         * @param {string} field
+         * @param {string} text
+         * @param {number} min
+         * @param {number} max
+         * @returns {HTMLLabelElement}
+         */
+        function createNumberField(index, field, text, min, max) {
+            const input = document.createElement('input');
+            assignProps(input, {
+                id: `${setID}-layer${index}-${field}`, type: 'number',
+                min: min.toString(), max: max.toString(), step: '1',
+                value: _layers[index][field].toString(), disabled: div.locked
+            }, {
+                width: '3.5em'
+            });
+            input.addEventListener('change', () => {
+                const num = parseFloat(input.value);
+                if (Number.isFinite(num)) updateLayer(index, {[field]: Math.min(Math.max(num, min), max)});
+            });
+
+            const wrapper = document.createElement('label');
+            assignProps(wrapper, {}, {display: 'inline-block', marginInlineEnd: '.25em'});
+            wrapper.append(text, ' ', input);
+            return wrapper;
+        }
+
+        /**
+         * Creates a button that edits the layer list.
+         *
+         * @param {number} index - Layer index.
+         * @param {string} action - Used in the button ID.
+         * @param {string} text
+         * @param {string} title
+         * @param {boolean} enabled
+         * @param {function(ShadowLayer[]): ShadowLayer[]} change - Returns the edited list.
+         * @returns {HTMLButtonElement}
+         */
+        function createLayerButton(index, action, text, title, enabled, change) {
+            const button = document.createElement('button');
+            assignProps(button, {
+                id: `${setID}-layer${index}-${action}`, type: 'button', textContent: text, title,
+                disabled: !enabled || div.locked
+            });
+            button.addEventListener('click', () => {
+                _layers = change([..._layers]);
+                updateControls(true);
+            });
+            return button;
+        }
+
+        /** Rebuilds the rows of the layer editor from the current layers, disabled while locked. */
+        function renderLayers() {
+            layerList.replaceChildren(..._layers.map((layer, i) => {
+                const row = document.createElement('div');
+                row.id = `${setID}-layer${i}`;
+
+                const fields = [
+                    createNumberField(i, 'x', 'X', -maximumOffset, maximumOffset),
+                    createNumberField(i, 'y', 'Y', -maximumOffset, maximumOffset),
+                    createNumberField(i, 'blur', 'Blur', 0, maximumBlur)
+                ];
+                if (box) fields.push(createNumberField(i, 'spread', 'Spread', -maximumSpread, maximumSpread));
+
+                const color = document.createElement('input');
+                assignProps(color, {
+                    id: `${setID}-layer${i}-color`, type: 'color', value: layer.color, title: `Layer ${i + 1} color`,
+                    disabled: div.locked
+                });
+                color.addEventListener('change', () => updateLayer(i, {color: color.value}));
+
+                const alpha = document.createElement('input');
+                assignProps(alpha, {
+                    id: `${setID}-layer${i}-alpha`, type: 'range', min: '0', max: '1', step: '0.05',
+                    value: layer.alpha.toString(), title: `Layer ${i + 1} opacity`, disabled: div.locked
+                }, {
+                    width: '4em', verticalAlign: 'middle'
+                });
+                alpha.addEventListener('change', () => updateLayer(i, {alpha: parseFloat(alpha.value)}));
+
+                row.append(...fields, color, alpha);
+
+                if (box) {
+                    const inset = document.createElement('input');
+                    assignProps(inset, {id: `${setID}-layer${i}-inset`, type: 'checkbox', checked: layer.inset,
+                        disabled: div.locked
+                    });
+                    inset.addEventListener('change', () => updateLayer(i, {inset: inset.checked}));
+
+                    const insetField = document.createElement('label');
+                    insetField.append(inset, 'Inset');
+                    row.append(insetField);
+                }
+
+                const swap = (list, j) => {
+                    [list[i], list[j]] = [list[j], list[i]];
+                    return list;
+                };
+                row.append(
+                    createLayerButton(i, 'up', '↑', 'Move layer up', i > 0, list => swap(list, i - 1)),
+                    createLayerButton(i, 'down', '↓', 'Move layer down', i < _layers.length - 1, list => swap(list, i + 1)),
+                    createLayerButton(i, 'remove', '×', 'Remove layer', true, list => list.filter((_, j) => j !== i))
+                );
+                return row;
+            }));
+        }
+
+        /**
+         * Changes one layer.
+         *
+         * @param {number} index
+         * @param {Partial<ShadowLayer>} changes
+         */
+        function updateLayer(index, changes) {
+            div.value = _layers.map((layer, i) => i === index ? {...layer, ...changes} : layer);
+        }
+
+        //-------------------------------------DEFINE COMPONENTS-------------------------------------
+
+        const div = document.createElement("div");
+        assignProps(div, {
+            id: setID, 'data-control': 'Shadow',
+        }, {
+            display: "inline-block", margin: '.25em',
+        });
+
+        const padlock = padlockTemplate.cloneWith({
+            id: `${setID}-padlock`, 'data-locked': 'false'
+        });
+        Object.assign(padlock.style, padlockStyles);
+
+        // The label heads the control; each layer field has a label of its own
+        const label = document.createElement("span");
+        assignProps(label, {
+            id: `${setID}-label`,
+            textContent: box ? 'Box Shadow' : 'Text Shadow'
+        }, {
+            userSelect: 'none'
+        });
+
+        // Text shadows are previewed on sample text, box shadows on a small box
+        const swatch = document.createElement('span');
+        assignProps(swatch, {
+            id: `${setID}-swatch`, title: 'Preview', textContent: box ? '' : 'Aa'
+        }, box ? {
+            display: 'inline-block',
+            width: '1.5em',
+            height: '1em',
+            marginInline: '.75em',
+            verticalAlign: 'middle',
+            background: '#ffffff',
+            border: '1px solid #888'
+        } : {
+            marginInline: '.5em',
+            fontWeight: 'bold'
+        });
+
+        const fields = document.createElement('div');
+        fields.id = `${setID}-fields`;
+
+        const layerList = document.createElement('div');
+        layerList.id = `${setID}-layers`;
+
+        const addLayer = document.createElement('button');
+        assignProps(addLayer, {
+            id: `${setID}-addLayer`, type: 'button', textContent: 'Add layer'
+        });
+
+        //-------------------------------------ADD PROPERTIES-------------------------------------
+
+        Object.defineProperty(div, 'value', {
+            /** Get the shadow layers, first drawn on top
+             * @returns {ShadowLayer[]} */
+            get() {
+                return _layers.map(layer => ({...layer}));
+            },
+            /** Set the shadow layers; an empty list means no shadow
+             * @param {ShadowLayer[]} val */
+            set(val) {
+                let layers;
+                try {
+                    layers = normalizeLayers(val, box);
+                } catch (error) {
+                    console.warn(`[ShadowControl] Invalid shadow set: ${error.message} Ignoring.`);
+                    return; // Ignore invalid input without throwing error
+                }
+
+                _layers = layers;
+                updateControls(true);
+            }
+        });
+
+        defineControlProperties(div, {
+            label, padlock,
+            dimmed: [label, fields],
+            asString: () => shadowCss(_layers),
+            onLock: locked => {
+                if (!locked) renderLayers(); // Restores the disabled state of the move buttons
+            }
+        });
+
+        div.reset = () => {
+            div.value = _defaultValue;
+        };
+
+        /**
+         * Save the default configuration for this control.
+         *
+         * Offsets range from -100 to 100 px, blur from 0 to 100 px and spread from -50 to 50 px.
+         * Text shadows must leave out spread and inset.
+         *
+         * @function setDefaults
+         * @param {Object} params - Configuration object containing:
+         * @param {ShadowLayer[]} params.value - The default layers; an empty list for no shadow.
+         * @param {boolean} [withReset=false] - If true, immediately applies defaults by calling `div.reset()`.
+         * @throws {Error} If the layers are missing or invalid.
+         * @returns {void} Does not return anything.
+         */
+        div.setDefaults = ({value}, withReset = false) => {
+            try {
+                _defaultValue = normalizeLayers(value, box);
+            } catch (error) {
+                mkErr(`[setDefaults] ${error.message}`);
+            }
+
+            if (withReset) div.reset();
+        };
+
+        //-------------------------------------EVENT LISTENERS-------------------------------------
+
+        // Inputs report through the control's own change event
+        fields.addEventListener("change", event => event.stopPropagation());
+
+        addLayer.addEventListener("click", () => {
+            const copied = _layers.at(-1) ?? newLayer;
+            div.value = [..._layers, {...copied}];
+        });
+
+        //-------------------------------------SET DEFAULTS-------------------------------------
+
+        div.setDefaults({value: []}, true);
+
+        //-------------------------------------ASSEMBLE CONTROL-------------------------------------
+
+        fields.append(layerList, addLayer);
+        label.append(swatch);
+
+        div.append(padlock, label, fields);
+
+        return div;
+    },
+    {
+        use: 'style',
+        /** Template entry fields accepted by setDefaults. */
+        schema: {
+            required: ['value'],
+            properties: {
+                value: {type: 'object'}
+            }
+        }
+    }
+);
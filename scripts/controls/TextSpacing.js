@@ -0,0 +1,339 @@
+import {padlockTemplate} from "../padlock.js";
+import {assignProps, defineControlProperties, generateID, padlockStyles} from "../controlUtils.js";
+import {roundTo} from "../utilities.js";
+
+/** Font size the units are converted with, in px. */
+export const defaultUnitSize = 16;
+
+/**
+ * How a unit is shown and converted.
+ *
+ * @typedef {Object} SpacingUnit
+ * @property {string} text - Text shown after the number; clicking it cycles the units.
+ * @property {number} toPx - How many px one of the unit is, at the default font size.
+ * @property {number} precision - Decimals values are rounded to.
+ * @property {number} step - Step of the number field and slider.
+ */
+
+/**
+ * Settings of a text spacing control type.
+ *
+ * @typedef {Object} TextSpacingOptions
+ * @property {string} controlType - The control type name, e.g. `LineHeight`.
+ * @property {string} labelText - Text of the control's label.
+ * @property {Object<string, SpacingUnit>} unitTypes - The units offered, in the order they cycle.
+ * @property {number} minimumMin - Lowest value a template may allow, in px.
+ * @property {number} maximumMax - Highest value a template may allow, in px.
+ * @property {{units: string, min: number, max: number, value: number}} defaults - Defaults
+ *           until a template gives its own.
+ */
+
+/**
+ * Creates the generator of a control for spacing set relative to the font size, such as
+ * line height or letter spacing: a number field and slider whose range a template sets with
+ * `units`, `min`, `max` and `value`, and units that cycle when clicked.
+ *
+ * @param {TextSpacingOptions} options
+ * @returns {function(string, string): HTMLDivElement} The generator, with `use` and `schema` set.
+ */
+export function textSpacingGenerator({controlType, labelText, unitTypes, minimumMin, maximumMax, defaults}) {
+    const mkErr = (msg) => {
+        throw new Error(`[${controlType} Control] ${msg}`);
+    };
+
+    /** Template fields for numbers in the units chosen. */
+    const numberField = minimumMin < 0 ? {type: 'numeric'} : {type: 'numeric', minimum: 0};
+
+    return Object.assign(
+        /** Generates a text spacing control set.
+         *
+         * @param {string} cssSelector - String denoting the CSS Selector this control sets.
+         * @param {string} cssParameter - String denoting the CSS Parameter this control sets.
+         * @returns {HTMLDivElement}
+         */
+        function generateTextSpacingControl(cssSelector, cssParameter) {
+            if (!padlockTemplate) {
+                throw new Error("Padlock SVG not loaded yet — wait for controlsReady before calling.");
+            }
+
+            //-------------------------------------UTILITY FUNCTION-------------------------------------
+
+            // Back-end storage, in px
+            let _min = 0,
+                _max = 0,
+                _value = 0,
+                _units = defaults.units
+
+            // Defaults to reset to
+            let _defaultMin = 0,
+                _defaultMax = 0,
+                _defaultValue = 0,
+                _defaultUnits = defaults.units
+
+            /** Converts px to the given units, rounded for display
+             *
+             * @param {number} px
+             * @param {string} [units=_units]
+             * @returns {number}
+             */
+            function fromPx(px, units = _units) {
+                return roundTo(px / unitTypes[units].toPx, unitTypes[units].precision);
+            }
+
+            /** Converts a value in the given units to px
+             *
+             * @param {number} num
+             * @param {string} [units=_units]
+             * @returns {number}
+             */
+            function toPx(num, units = _units) {
+                return roundTo(num, unitTypes[units].precision) * unitTypes[units].toPx;
+            }
+
+            const setID = generateID(cssSelector, cssParameter);
+
+            const updateControls = (withEvent = false) => {
+                const settings = {
+                    min: fromPx(_min).toString(),
+                    max: fromPx(_max).toString(),
+                    step: unitTypes[_units].step.toString(),
+                    value: fromPx(_value).toString()
+                };
+
+                Object.assign(numberInput, settings);
+                Object.assign(slider, settings);
+                unitSpan.textContent = unitTypes[_units].text;
+
+                if (withEvent) div.dispatchEvent(new Event('change', {bubbles: true}));
+            };
+
+            //-------------------------------------DEFINE COMPONENTS-------------------------------------
+
+            const div = document.createElement("div");
+            assignProps(div, {
+                id: setID, 'data-control': controlType,
+            }, {
+                display: "inline-block", margin: '.25em',
+            });
+
+            const padlock = padlockTemplate.cloneWith({
+                id: `${setID}-padlock`, 'data-locked': 'false'
+            });
+            Object.assign(padlock.style, padlockStyles);
+
+            const label = document.createElement("label");
+            assignProps(label, {
+                id: `${setID}-label`,
+                textContent: labelText,
+                for: `${setID}-input`
+            }, {
+                userSelect: 'none'
+            });
+
+            const numberInput = document.createElement("input");
+            assignProps(numberInput, {
+                id: `${setID}-input`, type: "number"
+            }, {
+                width: "3.5em"
+            });
+
+            const unitSpan = document.createElement('span');
+            assignProps(unitSpan, {
+                id: `${setID}-span`, title: 'Change units'
+            }, {
+                display: "inline-block",
+                padding: '.25em',
+                minWidth: '1em',
+                userSelect: 'none',
+                cursor: 'pointer',
+                textDecoration: 'underline'
+            });
+
+            const slider = document.createElement("input");
+            assignProps(slider, {
+                id: `${setID}-slider`, type: "range"
+            }, {
+                width: "100%"
+            });
+
+            //-------------------------------------ADD PROPERTIES-------------------------------------
+
+            Object.defineProperty(div, 'value', {
+                get() {
+                    return fromPx(_value);
+                },
+                set(val) {
+                    // Parse input to number explicitly
+                    const numVal = typeof val === 'number' ? val : parseFloat(val);
+                    if (!Number.isFinite(numVal)) {
+                        console.warn(`[${controlType}Control] Invalid value set: ${val}. Ignoring.`);
+                        return; // Ignore invalid input without throwing error
+                    }
+
+                    _value = Math.max(Math.min(toPx(numVal), _max), _min);
+                    updateControls(true);
+                }
+            });
+
+            defineControlProperties(div, {
+                label, padlock,
+                asString: () => `${div.value}${div.units}`,
+                onLock: locked => {
+                    unitSpan.style.pointerEvents = locked ? 'none' : 'auto';
+                }
+            });
+
+            Object.defineProperty(div, 'min', {
+                get() {
+                    return fromPx(_min);
+                },
+                set(val) {
+                    _min = Math.max(toPx(val), minimumMin);
+
+                    _value = Math.max(_min, _value);
+                    updateControls();
+                }
+            });
+
+            Object.defineProperty(div, 'max', {
+                get() {
+                    return fromPx(_max);
+                },
+                set(val) {
+                    _max = Math.min(toPx(val), maximumMax);
+
+                    _value = Math.min(_max, _value);
+                    updateControls();
+                }
+            });
+
+            Object.defineProperty(div, 'units', {
+                get() {
+                    return _units;
+                },
+                set(newUnit) {
+                    if (Object.hasOwn(unitTypes, newUnit)) {
+                        _units = newUnit;
+                        updateControls(true);
+                    } else {
+                        console.warn(`Unsupported unit: ${newUnit}`);
+                    }
+                }
+            });
+
+            div.reset = () => {
+                Object.assign(div, {
+                    units: _defaultUnits,
+                    min: _defaultMin,
+                    max: _defaultMax,
+                    value: _defaultValue
+                })
+            };
+
+            /**
+             * Save the default configuration for this control.
+             *
+             * Requires all of `units`, `min`, `max` and `value`, checks them against the
+             * control type's absolute bounds and requires `min` ≤ `value` ≤ `max`.
+             *
+             * @function setDefaults
+             * @param {Object} params - Configuration object containing:
+             * @param {string} params.units - Unit type for the defaults, a key of the type's units.
+             * @param {number|string} params.min - Default minimum value in specified units.
+             * @param {number|string} params.max - Default maximum value in specified units.
+             * @param {number|string} params.value - Default starting value in specified units.
+             * @param {boolean} [withReset=false] - If true, immediately applies defaults by calling `div.reset()`.
+             * @throws {Error} If any required parameter is missing, invalid, or violates bounds/logic.
+             * @returns {void} Does not return anything.
+             */
+            div.setDefaults = ({units, min, max, value}, withReset = false) => {
+                const mkErrSD = (msg) => {
+                    mkErr(`[setDefaults] ${msg}`);
+                };
+                // All-or-nothing: every property must be present and not undefined
+                if ([units, min, max, value].some(v => v === undefined)) {
+                    mkErrSD(`All parameters { units, min, max, value } must be provided.`);
+                }
+
+                if (!Object.hasOwn(unitTypes, units)) {
+                    mkErrSD(`Invalid units "${units}". Allowed: ${Object.keys(unitTypes).map(u => `'${u}'`).join(', ')}.`);
+                }
+
+                // Parse numbers strictly
+                const toNumberStrict = (raw, name) => {
+                    const n = (typeof raw === 'number') ? raw : parseFloat(raw);
+                    if (!Number.isFinite(n)) mkErrSD(`${name} must be a finite number (got: ${String(raw)}).`);
+                    return n;
+                };
+
+                const nMin = toNumberStrict(min, 'min');
+                const nMax = toNumberStrict(max, 'max');
+                const nValue = toNumberStrict(value, 'value');
+
+                // Convert to px for validation
+                const minPx = toPx(nMin, units);
+                const maxPx = toPx(nMax, units);
+                const valuePx = toPx(nValue, units);
+
+                // Absolute bounds checks
+                if (minPx < minimumMin) mkErrSD(`min (${minPx}px) is below absolute minimum (${minimumMin}px).`);
+                if (maxPx > maximumMax) mkErrSD(`max (${maxPx}px) exceeds absolute maximum (${maximumMax}px).`);
+
+                // Logical ordering checks
+                if (minPx > maxPx) mkErrSD(`min (${minPx}px) is greater than max (${maxPx}px).`);
+                if (valuePx < minPx || valuePx > maxPx) {
+                    mkErrSD(`value (${valuePx}px) is outside the range [${minPx}px, ${maxPx}px].`);
+                }
+
+                // Store defaults in given display units (rounded appropriately)
+                _defaultUnits = units;
+                _defaultMin = roundTo(nMin, unitTypes[units].precision);
+                _defaultMax = roundTo(nMax, unitTypes[units].precision);
+                _defaultValue = roundTo(nValue, unitTypes[units].precision);
+
+                if (withReset) div.reset();
+            };
+
+            //-------------------------------------EVENT LISTENERS-------------------------------------
+
+            numberInput.addEventListener("input", () => {
+                div.value = parseFloat(numberInput.value);
+            });
+
+            slider.addEventListener("input", () => {
+                div.value = parseFloat(slider.value);
+            });
+
+            unitSpan.addEventListener("click", () => {
+                // Cycle through the units in the order listed
+                const units = Object.keys(unitTypes);
+                div.units = units[(units.indexOf(div.units) + 1) % units.length];
+            });
+
+            //-------------------------------------SET DEFAULTS-------------------------------------
+
+            div.setDefaults(defaults, true);
+
+            //-------------------------------------ASSEMBLE CONTROL-------------------------------------
+
+            label.append(numberInput, unitSpan, document.createElement('br'), slider);
+
+            div.append(padlock, label);
+
+            return div;
+        },
+        {
+            use: 'style',
+            /** Template entry fields accepted by setDefaults. */
+            schema: {
+                required: ['units', 'min', 'max', 'value'],
+                properties: {
+                    units: {enum: Object.keys(unitTypes)},
+                    min: numberField,
+                    max: numberField,
+                    value: numberField
+                }
+            }
+        }
+    );
+}
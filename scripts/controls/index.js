@@ -2,6 +2,15 @@
 import {generateFontSizeControl} from './FontSize.js';
 import {generateColorControl} from './Color.js';
 import {generateFontFamilyControl} from './FontFamily.js';
+import {generateLineHeightControl} from './LineHeight.js';
+import {generateLetterSpacingControl} from './LetterSpacing.js';
+import {generateFontWeightControl} from './FontWeight.js';
+import {generateBoxModelControl} from './BoxModel.js';
+import {generateBackgroundControl} from './Background.js';
+import {generateBorderControl} from './Border.js';
+import {generateShadowControl} from './Shadow.js';
+import {generateKeywordControl} from './Keyword.js';
+import {generateLengthControl} from './Length.js';
 
 // Functional controls
 import {generateRadioTabsControl} from "./RadioTabs.js";
@@ -12,5 +21,14 @@ export {
     generateFontSizeControl,
     generateColorControl,
     generateFontFamilyControl,
+    generateLineHeightControl,
+    generateLetterSpacingControl,
+    generateFontWeightControl,
+    generateBoxModelControl,
+    generateBackgroundControl,
+    generateBorderControl,
+    generateShadowControl,
+    generateKeywordControl,
+    generateLengthControl,
     generateRadioTabsControl,
 };
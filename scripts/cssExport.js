@@ -0,0 +1,171 @@
+/**
+ * @module cssExport
+ * @description
+ * Builds stylesheet text from the style controls in the editor, both for live injection
+ * into the preview frame and for exporting as a standalone `.css` file.
+ *
+ * Exports:
+ * - `groupDeclarations`: Collects each control's CSS declaration under its selector.
+ * - `buildStyleSheet`: Serializes grouped declarations into stylesheet text.
+ * - `exportStyleSheet`: Builds a standalone stylesheet and offers it as a download.
+ *
+ * Selectors are emitted in the order their first control appears, which follows the
+ * template, so rules of equal specificity cascade the way the template lists them.
+ *
+ * Controls may set several properties, and for several selectors (see `cssDeclarationsOf`);
+ * each property/value pair is placed under its own selector.
+ *
+ * Controls whose ID names the `print` media hold print values. Those that differ from the
+ * matching screen values are emitted in an `@media print` block after the screen rules.
+ *
+ * @example
+ * import { buildStyleSheet, exportStyleSheet } from './cssExport.js';
+ *
+ * const controls = document.querySelectorAll('[data-provides-style]');
+ * style.textContent = buildStyleSheet(controls);
+ * exportStyleSheet(controls, { templateName: 'Default', important: true });
+ */
+
+import {debugLog, setDebug} from "./debugLog.js";
+import {downloadTextFile, sanitizeId} from "./utilities.js";
+import {cssDeclarationsOf} from "./controlUtils.js";
+
+// Disable debug logging by default.
+// Call setDebug(true) externally to enable.
+setDebug(false);
+
+/**
+ * Escapes text so it can be safely placed inside a CSS comment.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function commentSafe(text) {
+    return String(text).replace(/\*\//g, '* /');
+}
+
+/**
+ * Groups property/value pairs by their selector.
+ *
+ * @param {Iterable<{selector: string, property: string, value: string}>} declarations
+ * @returns {Array<[string, string[]]>} Pairs of `[selector, declarations]`, in the order each
+ *          selector first appears.
+ */
+function groupBySelector(declarations) {
+    const grouped = new Map();
+
+    for (const {selector, property, value} of declarations) {
+        if (!grouped.has(selector)) {
+            grouped.set(selector, []);
+        }
+
+        grouped.get(selector).push(`${property}: ${value}`);
+    }
+
+    return [...grouped.entries()];
+}
+
+/**
+ * Groups the CSS declarations of the given controls by their CSS selector.
+ *
+ * Declarations and selectors both keep the order of the controls.
+ *
+ * @param {Iterable<HTMLElement>} controls - Style controls, as accepted by `cssDeclarationsOf`.
+ * @returns {Array<[string, string[]]>} Pairs of `[selector, declarations]`, in the order each
+ *          selector first appears.
+ */
+export function groupDeclarations(controls) {
+    return groupBySelector([...controls].flatMap(cssDeclarationsOf));
+}
+
+/**
+ * Serializes grouped declarations into CSS rules.
+ *
+ * @param {Array<[string, string[]]>} grouped - Pairs of `[selector, declarations]`.
+ * @param {boolean} important - If true, appends `!important` to every declaration.
+ * @returns {string}
+ */
+function serializeRules(grouped, important) {
+    return grouped
+        .map(([selector, declarations]) => {
+            const lines = declarations.map(declaration => important ? `${declaration} !important` : declaration);
+            return `${selector} {\n  ${lines.join(';\n  ')};\n}`;
+        })
+        .join('\n\n');
+}
+
+/**
+ * Splits the declarations of style controls into screen declarations and the print
+ * declarations that differ from the screen ones.
+ *
+ * @param {Iterable<HTMLElement>} controls
+ * @returns {{screen: Object[], print: Object[]}} Declarations as from `cssDeclarationsOf`.
+ */
+function splitByMedia(controls) {
+    const screen = [];
+    const print = [];
+
+    for (const el of controls) {
+        (el.cssPair.media === 'print' ? print : screen).push(...cssDeclarationsOf(el));
+    }
+
+    const key = ({selector, property, value}) => `${selector}\n${property}\n${value}`;
+    const screenDeclarations = new Set(screen.map(key));
+    return {
+        screen,
+        print: print.filter(declaration => !screenDeclarations.has(key(declaration)))
+    };
+}
+
+/**
+ * Builds stylesheet text from the given style controls.
+ *
+ * @param {Iterable<HTMLElement>} controls - Style controls, as accepted by `cssDeclarationsOf`.
+ * @param {Object} [options={}]
+ * @param {boolean} [options.important=false] - If true, appends `!important` to every declaration.
+ * @param {string} [options.header] - Optional text placed in a comment at the top of the stylesheet.
+ * @param {boolean} [options.simulatePrint=false] - If true, print values are applied on screen
+ *                                                  instead of being wrapped in `@media print`.
+ * @returns {string} The stylesheet text.
+ */
+export function buildStyleSheet(controls, {important = false, header, simulatePrint = false} = {}) {
+    const {screen, print} = splitByMedia(controls);
+
+    let rules = serializeRules(groupBySelector(screen), important);
+
+    const printRules = serializeRules(groupBySelector(print), important);
+    if (printRules) {
+        const block = simulatePrint
+            ? `/* Print values */\n${printRules}`
+            : `@media print {\n${printRules.replace(/^(?=.)/gm, '  ')}\n}`;
+        rules = rules ? `${rules}\n\n${block}` : block;
+    }
+
+    if (!header) return rules;
+
+    const headerLines = String(header).split('\n').map(line => ` * ${commentSafe(line)}`.trimEnd());
+    return `/*\n${headerLines.join('\n')}\n */\n\n${rules}\n`;
+}
+
+/**
+ * Builds a standalone stylesheet from the given style controls and offers it as a download.
+ *
+ * The file begins with a header comment naming the template the styles came from.
+ *
+ * @param {Iterable<HTMLElement>} controls - Style controls, as accepted by `cssDeclarationsOf`.
+ * @param {Object} [options={}]
+ * @param {string} [options.templateName='Custom'] - Name of the template the styles were edited from.
+ * @param {boolean} [options.important=false] - If true, appends `!important` to every declaration.
+ * @param {string} [options.filename] - File name to save as. Defaults to the sanitized template name.
+ * @returns {string} The exported stylesheet text.
+ */
+export function exportStyleSheet(controls, {templateName = 'Custom', important = false, filename} = {}) {
+    const header = `Exported from style template: ${templateName}`;
+    const cssText = buildStyleSheet(controls, {important, header});
+
+    const name = filename ?? `${sanitizeId(templateName) || 'styles'}.css`;
+    downloadTextFile(cssText, name, 'text/css');
+
+    debugLog(`exportStyleSheet: Exported '${name}'`, cssText);
+    return cssText;
+}
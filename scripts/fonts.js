@@ -0,0 +1,389 @@
+/**
+ * @module fonts
+ * @description
+ * Keeps the list of font families the FontFamily controls offer, and makes sure the
+ * documents that show those fonts can load them.
+ *
+ * Fonts come from three places:
+ * - A fonts manifest (`fonts.json`), loaded with `loadFontManifest`.
+ * - The `fonts` list of a template's FontFamily entry (see `registerFonts`).
+ * - Font files uploaded by the user, added with `addFontFile`.
+ *
+ * Web fonts name their Google Fonts `css2` family specification in `google`, from which
+ * `linkWebFonts` builds the stylesheet link, so the font list and the link cannot drift
+ * apart. The stylesheet is requested from the URLs of the `webFonts` asset (see assets.js),
+ * so it can be self-hosted. Uploaded fonts are registered through the FontFace API, in the editor when they
+ * are added and in other documents (the preview) by `addCustomFonts`. Their files are kept in
+ * IndexedDB, so edits that name them still find them after a reload (`restoreFontFiles`).
+ *
+ * Exports:
+ * - `loadFontManifest`: Loads a fonts manifest and registers its fonts.
+ * - `registerFonts`: Checks a list of fonts and adds them to the known fonts.
+ * - `validateFonts`: Checks a list of fonts without registering it.
+ * - `getFonts`: Lists the known fonts, uploaded fonts last.
+ * - `fontWeightRange`: Returns the weight range of a variable font.
+ * - `googleFontsUrl`: Builds the Google Fonts stylesheet URL for a list of fonts.
+ * - `linkWebFonts`: Adds or updates the web fonts stylesheet link of a document.
+ * - `fontFileTypes`: File extensions `addFontFile` accepts.
+ * - `addFontFile`: Registers an uploaded .woff2/.woff/.ttf/.otf file as a font.
+ * - `addCustomFonts`: Registers the uploaded fonts in another document.
+ * - `restoreFontFiles`: Registers the font files uploaded in earlier sessions.
+ * - `clearFontFiles`: Forgets the font files uploaded in earlier sessions.
+ * - `fontsChanged`: Event target that fires `change` whenever fonts are added.
+ *
+ * @example
+ * import { loadFontManifest, linkWebFonts, getFonts } from './fonts.js';
+ *
+ * await loadFontManifest('fonts.json');
+ * linkWebFonts(document);
+ * getFonts().forEach(font => console.log(font.name, font.value));
+ */
+
+import {debugLog, setDebug} from "./debugLog.js";
+import {assetUrls, linkStylesheet} from "./assets.js";
+
+// Disable debug logging by default.
+// Call setDebug(true) externally to enable.
+setDebug(false);
+
+const mkErr = (msg) => {
+    throw new Error(`[Fonts] ${msg}`);
+};
+
+/**
+ * A font family offered by the FontFamily controls.
+ *
+ * @typedef {Object} FontEntry
+ * @property {string} name - Name shown in the font list.
+ * @property {string} value - The `font-family` value, e.g. `"Roboto", sans-serif`.
+ * @property {string} [google] - Google Fonts `css2` family specification, e.g. `Roboto:wght@100..900`.
+ * @property {[number, number]} [weights] - Weight range of a variable font.
+ * @property {boolean} [uploaded] - Set on fonts added with `addFontFile`.
+ */
+
+/** Fonts every browser has, offered even when no manifest loads. */
+const genericFonts = [
+    {name: 'Sans', value: 'sans-serif'},
+    {name: 'Serif', value: 'serif'},
+    {name: 'Monospace', value: 'monospace'}
+];
+
+/** File types accepted by `addFontFile`. */
+export const fontFileTypes = ['.woff2', '.woff', '.ttf', '.otf'];
+
+/** Known fonts, keyed by `font-family` value. */
+const knownFonts = new Map(genericFonts.map(font => [font.value, font]));
+
+/** Uploaded fonts, with the file data needed to register them in other documents.
+ * @type {Array<{entry: FontEntry, family: string, data: ArrayBuffer}>} */
+const customFonts = [];
+
+/** Documents the uploaded fonts have been registered in, with how many were added. */
+const registeredIn = new WeakMap();
+
+/** Web fonts stylesheet query each document links, with a promise settled once it has loaded.
+ * @type {WeakMap<Document, {query: string, linked: Promise<void>}>} */
+const webFontsIn = new WeakMap();
+
+/** Fires `change` whenever fonts are registered or uploaded. */
+export const fontsChanged = new EventTarget();
+
+/** IndexedDB database, and its object store, keeping uploaded font files between sessions. */
+const fontDatabase = 'styleEditor.fonts';
+const fontStore = 'files';
+
+/**
+ * Checks a list of fonts.
+ *
+ * @param {any} fonts
+ * @returns {?string} A description of the first problem found, or null if the list is valid.
+ */
+export function validateFonts(fonts) {
+    if (!Array.isArray(fonts) || !fonts.length) return `must be a non-empty list of fonts.`;
+
+    for (const [i, font] of fonts.entries()) {
+        const name = `Font ${i + 1}`;
+        if (typeof font !== 'object' || font === null) return `${name} must be an object with a name and value.`;
+        if (typeof font.name !== 'string' || !font.name.trim()) return `${name} needs a name.`;
+        if (typeof font.value !== 'string' || !font.value.trim()) return `${name} ("${font.name}") needs a font-family value.`;
+        if (font.google !== undefined && (typeof font.google !== 'string' || /[\s&?#]/.test(font.google))) {
+            return `${name} ("${font.name}") has an invalid Google Fonts family "${font.google}".`;
+        }
+        if (font.weights !== undefined) {
+            const [min, max] = Array.isArray(font.weights) ? font.weights : [];
+            if (font.weights.length !== 2 || !Number.isInteger(min) || !Number.isInteger(max) ||
+                min < 1 || max > 1000 || min > max) {
+                return `${name} ("${font.name}") weights must be [min, max] from 1 to 1000.`;
+            }
+        }
+    }
+    return null;
+}
+
+/**
+ * Checks a list of fonts and adds them to the known fonts. A font with the same value as
+ * a known one replaces it.
+ *
+ * @param {FontEntry[]} fonts
+ * @throws {Error} If the list is not valid.
+ */
+export function registerFonts(fonts) {
+    const problem = validateFonts(fonts);
+    if (problem) mkErr(`Font list ${problem}`);
+
+    let added = false;
+    for (const font of fonts) {
+        const entry = structuredClone(font);
+        if (JSON.stringify(knownFonts.get(entry.value)) !== JSON.stringify(entry)) {
+            knownFonts.set(entry.value, entry);
+            added = true;
+        }
+    }
+    if (added) fontsChanged.dispatchEvent(new Event('change'));
+}
+
+/**
+ * Loads a fonts manifest, a JSON document of the form `{"fonts": [FontEntry, ...]}`, and
+ * registers its fonts.
+ *
+ * @param {string} url
+ * @returns {Promise<FontEntry[]>} The fonts in the manifest.
+ * @throws {Error} If the manifest cannot be loaded or is not valid.
+ */
+export async function loadFontManifest(url) {
+    const response = await fetch(url);
+    if (!response.ok) mkErr(`Could not load fonts manifest "${url}" (status ${response.status}).`);
+
+    const {fonts} = JSON.parse(await response.text());
+    registerFonts(fonts);
+    debugLog(`Loaded ${fonts.length} fonts from ${url}`);
+    return structuredClone(fonts);
+}
+
+/**
+ * Lists the known fonts: the manifest and template fonts, then the uploaded fonts.
+ *
+ * @returns {FontEntry[]}
+ */
+export function getFonts() {
+    const uploaded = new Map(customFonts.map(({entry}) => [entry.value, entry]));
+    return [...knownFonts.values()].filter(font => !uploaded.has(font.value))
+        .concat([...uploaded.values()])
+        .map(font => structuredClone(font));
+}
+
+/**
+ * Returns the weight range of a known variable font.
+ *
+ * @param {string} value - A `font-family` value.
+ * @returns {?[number, number]} The range, or null if the font is unknown or not variable.
+ */
+export function fontWeightRange(value) {
+    const weights = knownFonts.get(value)?.weights;
+    return weights ? [...weights] : null;
+}
+
+/**
+ * Builds the Google Fonts stylesheet URL for the fonts that name a `google` family.
+ *
+ * @param {FontEntry[]} [fonts=getFonts()]
+ * @param {string} [base='https://fonts.googleapis.com/css2'] - The stylesheet service, or a
+ *        self-hosted stylesheet, to add the query to.
+ * @returns {?string} The URL, or null if none of the fonts is a Google font.
+ */
+export function googleFontsUrl(fonts = getFonts(), base = 'https://fonts.googleapis.com/css2') {
+    const families = [...new Set(fonts.filter(font => font.google).map(font => font.google))].sort();
+    if (!families.length) return null;
+    return `${base}?${families.map(family => `family=${family}`).join('&')}&display=swap`;
+}
+
+/**
+ * Adds the web fonts stylesheet link to a document, or updates it to the current fonts.
+ * The stylesheet is tried from each `webFonts` asset URL in turn; if none loads, the
+ * documents show their fallback fonts.
+ *
+ * @param {Document} doc
+ * @param {function(): void} [onLoad] - Called once the stylesheet has loaded or failed to
+ *                                      load (at once if there is nothing to load).
+ */
+export function linkWebFonts(doc, onLoad) {
+    const urls = assetUrls('webFonts').map(base => googleFontsUrl(getFonts(), base)).filter(Boolean);
+    const query = urls.length ? new URL(urls[0]).search : '';
+    const current = webFontsIn.get(doc);
+
+    if (!query) {
+        onLoad?.();
+        return;
+    }
+    if (current?.query === query) {
+        if (onLoad) current.linked.then(onLoad);
+        return;
+    }
+
+    if (!current && new URL(urls[0]).origin === 'https://fonts.googleapis.com') {
+        for (const origin of ['https://fonts.googleapis.com', 'https://fonts.gstatic.com']) {
+            const preconnect = Object.assign(doc.createElement('link'), {rel: 'preconnect', href: origin});
+            if (origin.includes('gstatic')) preconnect.setAttribute('crossorigin', '');
+            doc.head.appendChild(preconnect);
+        }
+    }
+
+    // The previous stylesheet stays until its replacement has loaded, so text does not flicker
+    const linked = linkStylesheet(urls, doc).then(link => {
+        if (!link) return;
+        if (webFontsIn.get(doc)?.query !== query) {
+            link.remove(); // Fonts changed again while this one was loading
+            return;
+        }
+        doc.getElementById('google-fonts')?.remove();
+        link.id = 'google-fonts';
+    });
+    webFontsIn.set(doc, {query, linked});
+    if (onLoad) linked.then(onLoad);
+}
+
+/**
+ * Runs one request on the store of uploaded font files.
+ *
+ * @param {IDBTransactionMode} mode
+ * @param {function(IDBObjectStore): IDBRequest} makeRequest
+ * @returns {Promise<any>} The request's result.
+ * @throws {Error} If the browser has no IndexedDB or the request fails.
+ */
+function withFontStore(mode, makeRequest) {
+    return new Promise((resolve, reject) => {
+        if (!globalThis.indexedDB) {
+            reject(new Error("IndexedDB is not available."));
+            return;
+        }
+
+        const open = indexedDB.open(fontDatabase, 1);
+        open.onupgradeneeded = () => open.result.createObjectStore(fontStore);
+        open.onerror = () => reject(open.error);
+        open.onsuccess = () => {
+            const db = open.result;
+            const transaction = db.transaction(fontStore, mode);
+            const request = makeRequest(transaction.objectStore(fontStore));
+            transaction.oncomplete = () => {
+                db.close();
+                resolve(request.result);
+            };
+            transaction.onerror = transaction.onabort = () => {
+                db.close();
+                reject(transaction.error ?? request.error);
+            };
+        };
+    });
+}
+
+/**
+ * Registers font data in the editor under a family name and adds it to the uploaded fonts.
+ *
+ * @param {string} family
+ * @param {ArrayBuffer} data
+ * @returns {Promise<FontEntry>} The new font.
+ * @throws {Error} If the browser cannot read the font.
+ */
+async function addFont(family, data) {
+    const face = new FontFace(family, data);
+    await face.load();
+    document.fonts.add(face);
+
+    // A file uploaded again under the same name is added again, and its last upload wins
+    const entry = {name: `${family} (uploaded)`, value: `"${family}", sans-serif`, uploaded: true};
+    customFonts.push({entry, family, data});
+    return entry;
+}
+
+/**
+ * Registers an uploaded font file in the editor and adds it to the known fonts. The family
+ * is named after the file. The file is also stored for later sessions.
+ *
+ * @param {File} file - A .woff2, .woff, .ttf or .otf file.
+ * @returns {Promise<FontEntry>} The new font.
+ * @throws {Error} If the file type is not supported or the browser cannot read the font.
+ */
+export async function addFontFile(file) {
+    const extension = file.name.slice(file.name.lastIndexOf('.')).toLowerCase();
+    if (!fontFileTypes.includes(extension)) {
+        mkErr(`Unsupported font file "${file.name}". Allowed: ${fontFileTypes.join(', ')}.`);
+    }
+
+    // Family names are quoted in CSS; keep them to characters that need no escaping
+    const family = file.name.slice(0, -extension.length).replace(/[^\w\s-]/g, ' ').replace(/\s+/g, ' ').trim() || 'Custom Font';
+    const data = await file.arrayBuffer();
+    const entry = await addFont(family, data);
+
+    try {
+        await withFontStore('readwrite', store => store.put({family, data}, family));
+    } catch (error) {
+        // The font still works in this session
+        console.warn(`[Fonts] Could not store "${family}" for later sessions:`, error);
+    }
+
+    debugLog(`Added font "${family}" from ${file.name}`);
+    fontsChanged.dispatchEvent(new Event('change'));
+    return structuredClone(entry);
+}
+
+/**
+ * Registers the font files uploaded in earlier sessions. Call it before building the
+ * controls, so saved edits naming those fonts find them.
+ *
+ * @returns {Promise<number>} How many fonts were restored.
+ */
+export async function restoreFontFiles() {
+    let stored;
+    try {
+        stored = await withFontStore('readonly', store => store.getAll());
+    } catch (error) {
+        debugLog(`No stored font files: ${error.message}`);
+        return 0;
+    }
+
+    let restored = 0;
+    for (const {family, data} of stored) {
+        try {
+            await addFont(family, data);
+            restored++;
+        } catch (error) {
+            console.warn(`[Fonts] Could not restore the uploaded font "${family}":`, error);
+        }
+    }
+
+    debugLog(`Restored ${restored} uploaded font(s)`);
+    if (restored) fontsChanged.dispatchEvent(new Event('change'));
+    return restored;
+}
+
+/**
+ * Forgets the font files uploaded in earlier sessions. Fonts added in this session stay
+ * until the page is reloaded.
+ *
+ * @returns {Promise<void>}
+ */
+export async function clearFontFiles() {
+    try {
+        await withFontStore('readwrite', store => store.clear());
+        debugLog("Cleared stored font files");
+    } catch (error) {
+        console.warn("[Fonts] Could not clear the stored font files:", error);
+    }
+}
+
+/**
+ * Registers the uploaded fonts in another document, such as the preview. Fonts already
+ * registered there are skipped.
+ *
+ * @param {Document} doc
+ */
+export function addCustomFonts(doc) {
+    const view = doc.defaultView;
+    if (!view?.FontFace || !doc.fonts) return;
+
+    const done = registeredIn.get(doc) ?? 0;
+    for (const {family, data} of customFonts.slice(done)) {
+        doc.fonts.add(new view.FontFace(family, data));
+    }
+    registeredIn.set(doc, customFonts.length);
+}
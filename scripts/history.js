@@ -0,0 +1,181 @@
+/**
+ * @module history
+ * @description
+ * Undo/redo history for style controls.
+ *
+ * Every `change` event from a tracked control is recorded as the control's settings before
+ * and after the change (value, units, range and lock state, as read by `readControlSettings`).
+ * Changes to the same control that follow each other quickly, such as the stream of events
+ * from dragging a slider, are merged into a single history entry.
+ *
+ * Entries keep a reference to the control they belong to, so the history is unaffected by
+ * which RadioTabs group is showing. Rebuilding the controls (switching templates or resetting)
+ * should be followed by `clear()`.
+ *
+ * Exports:
+ * - `ChangeHistory`: The history stack. Dispatches `change` whenever `canUndo`/`canRedo` may have changed.
+ *
+ * @example
+ * import { ChangeHistory } from './history.js';
+ *
+ * const history = new ChangeHistory({ onRestore: applyStyles });
+ * history.track(control);
+ * history.undo();
+ */
+
+import {debugLog, setDebug} from "./debugLog.js";
+import {applyControlSettings, readControlSettings} from "./styleTemplates.js";
+
+// Disable debug logging by default.
+// Call setDebug(true) externally to enable.
+setDebug(false);
+
+/**
+ * A recorded change to one control.
+ *
+ * @typedef {Object} HistoryEntry
+ * @property {HTMLElement} control - The control that changed.
+ * @property {Object} before - Control settings before the change.
+ * @property {Object} after - Control settings after the change.
+ * @property {number} time - When the entry was last updated (ms timestamp).
+ */
+
+export class ChangeHistory extends EventTarget {
+    /** @type {HistoryEntry[]} */
+    #undoStack = [];
+    /** @type {HistoryEntry[]} */
+    #redoStack = [];
+    /** Last known settings of each tracked control.
+     * @type {WeakMap<HTMLElement, Object>} */
+    #known = new WeakMap();
+    /** True while history is writing settings back to a control. */
+    #restoring = false;
+
+    /**
+     * @param {Object} [options={}]
+     * @param {function(HTMLElement): void} [options.onRestore] - Called after undo/redo changed a control.
+     * @param {number} [options.mergeWindow=500] - Changes to the same control within this many
+     *                                             milliseconds are merged into one entry.
+     * @param {number} [options.limit=200] - Maximum number of entries kept.
+     */
+    constructor({onRestore = () => {}, mergeWindow = 500, limit = 200} = {}) {
+        super();
+        this.onRestore = onRestore;
+        this.mergeWindow = mergeWindow;
+        this.limit = limit;
+    }
+
+    /** @returns {boolean} True if there is a change to undo. */
+    get canUndo() {
+        return this.#undoStack.length > 0;
+    }
+
+    /** @returns {boolean} True if there is an undone change to redo. */
+    get canRedo() {
+        return this.#redoStack.length > 0;
+    }
+
+    /**
+     * Starts recording changes to a control. Its current settings become the baseline
+     * for its first history entry.
+     *
+     * @param {HTMLElement} control - A style control created by `generateControl`.
+     */
+    track(control) {
+        this.#known.set(control, readControlSettings(control));
+        control.addEventListener('change', () => this.#record(control));
+    }
+
+    /** Forgets all recorded changes. */
+    clear() {
+        this.#undoStack = [];
+        this.#redoStack = [];
+        this.#notify();
+    }
+
+    /**
+     * Reverts the most recent change.
+     *
+     * @returns {boolean} True if a change was undone.
+     */
+    undo() {
+        const entry = this.#undoStack.pop();
+        if (!entry) return false;
+
+        this.#restore(entry.control, entry.before);
+        entry.time = 0; // Never merge new changes into an undone entry
+        this.#redoStack.push(entry);
+        this.#notify();
+        return true;
+    }
+
+    /**
+     * Re-applies the most recently undone change.
+     *
+     * @returns {boolean} True if a change was redone.
+     */
+    redo() {
+        const entry = this.#redoStack.pop();
+        if (!entry) return false;
+
+        this.#restore(entry.control, entry.after);
+        entry.time = 0;
+        this.#undoStack.push(entry);
+        this.#notify();
+        return true;
+    }
+
+    /**
+     * Records a control's new settings, merging with the previous entry when it belongs to
+     * the same control and arrived within the merge window.
+     *
+     * @param {HTMLElement} control
+     */
+    #record(control) {
+        if (this.#restoring) return;
+
+        const before = this.#known.get(control);
+        const after = readControlSettings(control);
+        if (JSON.stringify(before) === JSON.stringify(after)) return;
+
+        this.#known.set(control, after);
+
+        const now = Date.now();
+        const last = this.#undoStack.at(-1);
+
+        if (last && last.control === control && now - last.time < this.mergeWindow) {
+            last.after = after;
+            last.time = now;
+        } else {
+            this.#undoStack.push({control, before, after, time: now});
+            if (this.#undoStack.length > this.limit) this.#undoStack.shift();
+        }
+
+        this.#redoStack = [];
+        this.#notify();
+    }
+
+    /**
+     * Writes settings back to a control without recording the resulting events.
+     *
+     * @param {HTMLElement} control
+     * @param {Object} settings
+     */
+    #restore(control, settings) {
+        this.#restoring = true;
+        try {
+            applyControlSettings(control, settings);
+        } finally {
+            this.#restoring = false;
+        }
+
+        this.#known.set(control, readControlSettings(control));
+        debugLog(`ChangeHistory: Restored #${control.id}`, settings);
+        this.onRestore(control);
+    }
+
+    /** Tells listeners that `canUndo`/`canRedo` may have changed. */
+    #notify() {
+        this.dispatchEvent(new Event('change'));
+    }
+}
@@ -6,7 +6,8 @@
  *
  * Exports:
  * - `padlockTemplate`: The loaded SVGElement template for the padlock (undefined until loaded).
- * - `padlockLoaded`: A Promise that resolves when the padlock SVG has finished loading.
+ * - `padlockLoaded`: A Promise that resolves when the padlock SVG has finished loading, and
+ *   rejects if it cannot be loaded.
  *
  * Usage example:
  * ```js
@@ -31,15 +32,16 @@ setDebug(false);
  * @type {SVGElement | undefined} */
 let padlockTemplate;
 
-/** Internal resolver for padlockLoaded.
+/** Internal resolver and rejecter for padlockLoaded.
  * @type {() => void} */
-let resolvePadlockLoaded;
+let resolvePadlockLoaded, rejectPadlockLoaded;
 
 /** Promise that resolves when the padlock SVG has loaded.
  * Use `await padlockLoaded` anywhere in this module to wait for it.
  * @type {Promise<void>} */
-const padlockLoaded = new Promise((resolve) => {
+const padlockLoaded = new Promise((resolve, reject) => {
     resolvePadlockLoaded = resolve;
+    rejectPadlockLoaded = reject;
 });
 
 /** Loads the contents of padlock.svg into padlockTemplate.
@@ -49,6 +51,9 @@ async function loadPadlockSVG() {
     try {
         const svgUrl = new URL('./assets/padlock.svg', import.meta.url);
         const response = await fetch(svgUrl);
+        if (!response.ok) {
+            throw new Error(`status ${response.status}`);
+        }
         const svgText = await response.text();
 
         const parser = new DOMParser();
@@ -73,6 +78,7 @@ async function loadPadlockSVG() {
         resolvePadlockLoaded(); // resolve the shared Promise
     } catch (error) {
         console.error("Failed to load padlock.svg:", error);
+        rejectPadlockLoaded(new Error(`Failed to load padlock.svg: ${error.message}`));
     }
 }
 
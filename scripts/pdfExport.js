@@ -0,0 +1,121 @@
+/**
+ * @module pdfExport
+ * @description
+ * Saves the document in the preview iframe as a PDF using html2pdf.js, without opening
+ * a popup window.
+ *
+ * html2pdf renders a copy of the element it is given inside its *own* document, so to keep the
+ * preview's stylesheets (including the editor's `#dynamic-style`) the library is loaded into
+ * the preview document and run from there. The script is loaded from the URLs of the
+ * `html2pdf` asset (see assets.js), a CDN first and then a self-hosted copy.
+ *
+ * Exports:
+ * - `paperSizes`: Paper formats offered for export.
+ * - `defaultPdfOptions`: Default page setup.
+ * - `exportPdf`: Saves the preview document as a PDF.
+ *
+ * @example
+ * import { exportPdf } from './pdfExport.js';
+ *
+ * await exportPdf(frame, { paper: 'letter', orientation: 'landscape', breakBefore: ['h1'] });
+ */
+
+import {debugLog, setDebug} from "./debugLog.js";
+import {assetUrls, loadScript} from "./assets.js";
+
+// Disable debug logging by default.
+// Call setDebug(true) externally to enable.
+setDebug(false);
+
+const mkErr = (msg) => {
+    throw new Error(`[PDF export] ${msg}`);
+};
+
+/** Paper formats offered for export, as understood by jsPDF.
+ * @type {Object<string, string>} */
+export const paperSizes = Object.freeze({
+    a3: 'A3',
+    a4: 'A4',
+    a5: 'A5',
+    letter: 'Letter',
+    legal: 'Legal'
+});
+
+/**
+ * Page setup for a PDF export.
+ *
+ * @typedef {Object} PdfOptions
+ * @property {string} paper - A key of {@link paperSizes}.
+ * @property {'portrait'|'landscape'} orientation - Page orientation.
+ * @property {number} margin - Page margin on all sides, in millimetres.
+ * @property {string} filename - Name of the saved file.
+ * @property {string[]} breakBefore - Selectors (e.g. headings) that always start a new page.
+ */
+
+/** @type {PdfOptions} */
+export const defaultPdfOptions = Object.freeze({
+    paper: 'a4',
+    orientation: 'portrait',
+    margin: 15,
+    filename: 'document.pdf',
+    breakBefore: []
+});
+
+/**
+ * Loads html2pdf into the preview document unless it is already there.
+ *
+ * @param {Window} win - The preview window.
+ * @param {string[]} scriptUrls - URLs of the html2pdf bundle, tried in order.
+ * @returns {Promise<function>} The preview window's `html2pdf` function.
+ */
+async function loadInto(win, scriptUrls) {
+    if (typeof win.html2pdf === 'function') return win.html2pdf;
+
+    try {
+        await loadScript(scriptUrls, win.document);
+    } catch {
+        mkErr(`Failed to load html2pdf from ${scriptUrls.join(', ')}`);
+    }
+    if (typeof win.html2pdf !== 'function') mkErr(`html2pdf loaded, but 'html2pdf' is undefined.`);
+
+    debugLog("pdfExport: html2pdf loaded into the preview document.");
+    return win.html2pdf;
+}
+
+/**
+ * Saves the document shown in the preview iframe as a PDF.
+ *
+ * @param {HTMLIFrameElement} frame - The preview iframe.
+ * @param {Partial<PdfOptions>} [options={}] - Page setup; missing fields use {@link defaultPdfOptions}.
+ * @param {string|string[]} [scriptUrls] - URLs of the html2pdf bundle, tried in order. Defaults
+ *        to the `html2pdf` asset URLs.
+ * @returns {Promise<void>} Resolves once the PDF has been handed to the browser for saving.
+ * @throws {Error} If the options are invalid, the preview cannot be accessed, or html2pdf cannot be loaded.
+ */
+export async function exportPdf(frame, options = {}, scriptUrls = assetUrls('html2pdf')) {
+    const {paper, orientation, margin, filename, breakBefore} = {...defaultPdfOptions, ...options};
+
+    if (!Object.hasOwn(paperSizes, paper)) mkErr(`Unsupported paper size "${paper}".`);
+    if (orientation !== 'portrait' && orientation !== 'landscape') mkErr(`Unsupported orientation "${orientation}".`);
+    if (!Number.isFinite(margin) || margin < 0) mkErr(`Margin must be a non-negative number (got ${margin}).`);
+    scriptUrls = [scriptUrls].flat();
+    if (!scriptUrls.length) mkErr(`No html2pdf script available.`);
+
+    const win = frame.contentWindow;
+    if (!frame.contentDocument?.body) mkErr(`The preview document cannot be accessed.`);
+
+    const html2pdf = await loadInto(win, scriptUrls);
+
+    const name = filename.trim() || defaultPdfOptions.filename;
+    const settings = {
+        margin,
+        filename: /\.pdf$/i.test(name) ? name : `${name}.pdf`,
+        image: {type: 'jpeg', quality: 0.98},
+        html2canvas: {scale: 2, useCORS: true},
+        jsPDF: {unit: 'mm', format: paper, orientation},
+        pagebreak: {mode: ['css', 'legacy'], before: breakBefore, avoid: 'img'}
+    };
+
+    debugLog("pdfExport: Exporting with settings", settings);
+    await html2pdf().set(settings).from(win.document.body).save();
+}
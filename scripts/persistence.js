@@ -0,0 +1,149 @@
+/**
+ * @module persistence
+ * @description
+ * Keeps the editor's local state in `localStorage` so it survives page reloads:
+ * the selected template, per-control overrides for each template, and user-created templates.
+ *
+ * The stored document carries a schema version. Older documents are upgraded through
+ * `migrations` when loaded; documents from a newer or unknown schema are ignored.
+ *
+ * Exports:
+ * - `SCHEMA_VERSION`: Version of the stored document this code writes.
+ * - `loadState`: Reads (and migrates) the stored state.
+ * - `saveState`: Writes a state object back to storage.
+ * - `updateState`: Applies a change to the stored state and saves it.
+ * - `clearState`: Removes all stored state.
+ *
+ * @example
+ * import { loadState, updateState } from './persistence.js';
+ *
+ * const state = loadState();
+ * updateState(s => { s.currentTemplate = 'Large Print'; });
+ */
+
+import {debugLog, setDebug} from "./debugLog.js";
+
+// Disable debug logging by default.
+// Call setDebug(true) externally to enable.
+setDebug(false);
+
+/** Key the state is stored under in localStorage. */
+const storageKey = 'styleEditor.state';
+
+/** Version of the stored document written by this code.
+ * Bump this and add an entry to `migrations` when the stored shape changes. */
+export const SCHEMA_VERSION = 1;
+
+/**
+ * Upgrades from one schema version to the next, keyed by the version they upgrade *from*.
+ * Each function receives the stored document and returns the document for `version + 1`.
+ *
+ * @type {Object<number, function(Object): Object>}
+ */
+const migrations = {};
+
+/**
+ * The persisted editor state.
+ *
+ * @typedef {Object} EditorState
+ * @property {number} version - Schema version of this document.
+ * @property {?string} currentTemplate - Name of the selected template.
+ * @property {Object[]} templates - User-created templates.
+ * @property {Object<string, Object<string, Object>>} overrides - Control settings keyed by
+ *           template name, then by control ID.
+ */
+
+/**
+ * Returns an empty state object.
+ *
+ * @returns {EditorState}
+ */
+function emptyState() {
+    return {
+        version: SCHEMA_VERSION,
+        currentTemplate: null,
+        templates: [],
+        overrides: {}
+    };
+}
+
+/**
+ * Upgrades a stored document to the current schema version.
+ *
+ * @param {Object} stored
+ * @returns {?EditorState} The migrated state, or null if it cannot be migrated.
+ */
+function migrate(stored) {
+    let state = stored;
+
+    while (state.version < SCHEMA_VERSION) {
+        const step = migrations[state.version];
+        if (!step) {
+            console.warn(`[persistence] No migration from schema version ${state.version}; discarding stored state.`);
+            return null;
+        }
+        state = step(state);
+        debugLog(`persistence: Migrated stored state to schema version ${state.version}`);
+    }
+
+    return state;
+}
+
+/**
+ * Reads the stored editor state, migrating it to the current schema if needed.
+ * Returns an empty state when nothing is stored or the stored data is unusable.
+ *
+ * @returns {EditorState}
+ */
+export function loadState() {
+    let stored;
+    try {
+        stored = JSON.parse(localStorage.getItem(storageKey));
+    } catch (error) {
+        console.warn("[persistence] Stored state is not valid JSON; ignoring it.", error);
+        return emptyState();
+    }
+
+    if (!stored) return emptyState();
+
+    if (!Number.isInteger(stored.version) || stored.version > SCHEMA_VERSION) {
+        console.warn(`[persistence] Stored state has unsupported schema version "${stored.version}"; ignoring it.`);
+        return emptyState();
+    }
+
+    const state = migrate(stored);
+    return state ? {...emptyState(), ...state} : emptyState();
+}
+
+/**
+ * Writes the editor state to storage.
+ *
+ * @param {EditorState} state
+ */
+export function saveState(state) {
+    try {
+        localStorage.setItem(storageKey, JSON.stringify({...state, version: SCHEMA_VERSION}));
+    } catch (error) {
+        // Storage may be full or disabled; the editor keeps working without it
+        console.warn("[persistence] Failed to save state:", error);
+    }
+}
+
+/**
+ * Loads the stored state, passes it to `change` for modification, and saves the result.
+ *
+ * @param {function(EditorState): void} change - Mutates the state in place.
+ * @returns {EditorState} The saved state.
+ */
+export function updateState(change) {
+    const state = loadState();
+    change(state);
+    saveState(state);
+    return state;
+}
+
+/** Removes all stored editor state. */
+export function clearState() {
+    localStorage.removeItem(storageKey);
+    debugLog("persistence: Cleared stored state");
+}
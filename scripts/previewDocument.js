@@ -0,0 +1,84 @@
+/**
+ * @module previewDocument
+ * @description
+ * Chooses and loads the document shown in the preview iframe. A document can come from
+ * a same-origin URL (including the `?doc=` query parameter of the editor page), a local
+ * HTML file, or a pasted HTML snippet. Files and snippets are loaded through `srcdoc`.
+ *
+ * Every load fires the iframe's `load` event; the editor re-injects its stylesheet there.
+ *
+ * Exports:
+ * - `documentFromQuery`: Reads the `?doc=` query parameter, falling back to a default document.
+ * - `loadPreviewUrl`: Shows the document at a URL in the preview.
+ * - `loadPreviewHtml`: Shows an HTML string in the preview.
+ *
+ * @example
+ * import { documentFromQuery, loadPreviewUrl } from './previewDocument.js';
+ *
+ * loadPreviewUrl(frame, documentFromQuery(location.search, 'sample.html'));
+ */
+
+import {debugLog, setDebug} from "./debugLog.js";
+
+// Disable debug logging by default.
+// Call setDebug(true) externally to enable.
+setDebug(false);
+
+/** Name of the query parameter naming the document to preview. */
+const queryParam = 'doc';
+
+/**
+ * Returns the document named by the `?doc=` query parameter, or `fallback` when there is none.
+ *
+ * The editor can only style documents it can reach into, so documents from another origin
+ * are rejected with a warning.
+ *
+ * @param {string} search - The query string, e.g. `location.search`.
+ * @param {string} fallback - Document to use when the parameter is missing or unusable.
+ * @returns {string} The URL of the document to preview.
+ */
+export function documentFromQuery(search, fallback) {
+    const requested = new URLSearchParams(search).get(queryParam);
+    if (!requested) return fallback;
+
+    let url;
+    try {
+        url = new URL(requested, location.href);
+    } catch {
+        console.warn(`[previewDocument] Ignoring invalid ?${queryParam}= value "${requested}".`);
+        return fallback;
+    }
+
+    if (url.origin !== location.origin) {
+        console.warn(`[previewDocument] Ignoring ?${queryParam}= document from another origin: ${url.href}`);
+        return fallback;
+    }
+
+    return url.href;
+}
+
+/**
+ * Shows the document at a URL in the preview iframe.
+ *
+ * @param {HTMLIFrameElement} frame - The preview iframe.
+ * @param {string} url - URL of the document.
+ */
+export function loadPreviewUrl(frame, url) {
+    frame.removeAttribute('srcdoc'); // srcdoc would take precedence over src
+    frame.src = url;
+    debugLog(`loadPreviewUrl: Loading ${url}`);
+}
+
+/**
+ * Shows an HTML string in the preview iframe.
+ *
+ * Relative links in the HTML resolve against the editor page, so images and stylesheets
+ * next to a locally opened file will not load unless they are also reachable from there.
+ *
+ * @param {HTMLIFrameElement} frame - The preview iframe.
+ * @param {string} html - A complete document or a snippet of HTML.
+ */
+export function loadPreviewHtml(frame, html) {
+    frame.srcdoc = html;
+    debugLog(`loadPreviewHtml: Loading ${html.length} characters of HTML`);
+}
@@ -0,0 +1,168 @@
+/**
+ * @module shareLink
+ * @description
+ * Encodes the selected template and the controls that differ from its defaults into a
+ * compact URL hash, and decodes such hashes back, so a look can be shared as a link.
+ *
+ * The hash has the form `#style=<version>.<payload>`, where the payload is base64url-encoded
+ * UTF-8 JSON with short keys. Controls are visited in template order and fields in a fixed
+ * order, so the same settings always give the same link in every browser. Hashes with a
+ * different format version or that cannot be decoded are ignored with a console warning.
+ *
+ * Exports:
+ * - `SHARE_FORMAT_VERSION`: Version written into new links.
+ * - `collectChanges`: Lists the controls whose settings differ from a template's defaults.
+ * - `encodeShareHash`: Builds the URL hash for a template name and its changes.
+ * - `decodeShareHash`: Reads a URL hash back into a template name and its changes.
+ *
+ * @example
+ * import { collectChanges, encodeShareHash, decodeShareHash } from './shareLink.js';
+ *
+ * const hash = encodeShareHash('Default', collectChanges(template));
+ * const shared = decodeShareHash(location.hash); // {template: 'Default', changes: {...}} or null
+ */
+
+import {debugLog, setDebug} from "./debugLog.js";
+import {generateID} from "./controlUtils.js";
+import {diffControlSettings, printEntry, readControlSettings, templateEntries} from "./styleTemplates.js";
+
+// Disable debug logging by default.
+// Call setDebug(true) externally to enable.
+setDebug(false);
+
+/** Version written into new links. Links with another version are ignored. */
+export const SHARE_FORMAT_VERSION = 1;
+
+/** Name of the hash parameter holding the encoded state. */
+const hashParam = 'style';
+
+/**
+ * Short keys used in the payload for each shared control setting, in the order written.
+ * @type {Object<string, string>}
+ */
+const shortKeys = {
+    units: 'u',
+    min: 'n',
+    max: 'x',
+    value: 'v',
+    fontStyle: 's',
+    linked: 'k',
+    locked: 'l'
+};
+
+/**
+ * Encodes a string as base64url (RFC 4648 §5) without padding.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function toBase64Url(text) {
+    const bytes = new TextEncoder().encode(text);
+    const binary = Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Decodes a base64url string produced by `toBase64Url`.
+ *
+ * @param {string} encoded
+ * @returns {string}
+ * @throws {Error} If the input is not valid base64url or UTF-8.
+ */
+function fromBase64Url(encoded) {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+    return new TextDecoder('utf-8', {fatal: true}).decode(bytes);
+}
+
+/**
+ * Lists the controls whose current settings differ from the template's defaults.
+ * Print controls are compared against the entry's print settings.
+ *
+ * @param {Object} template - The template the controls were built from.
+ * @param {(id: string) => ?HTMLElement} [findControl] - Looks up a control by ID.
+ * @returns {Object<string, Object>} Changed settings keyed by control ID. Only the differing
+ *          fields are included.
+ */
+export function collectChanges(template, findControl = id => document.getElementById(id)) {
+    const changes = {};
+
+    for (const {cssProperty, entry, selectors} of templateEntries(template)) {
+        for (const [media, defaults] of [['screen', entry], ['print', printEntry(entry)]]) {
+            const id = generateID(selectors, cssProperty, media);
+            const control = findControl(id);
+            if (!control) continue;
+
+            const changed = diffControlSettings(readControlSettings(control), defaults);
+            if (Object.keys(changed).length) changes[id] = changed;
+        }
+    }
+
+    return changes;
+}
+
+/**
+ * Builds the URL hash for a template name and its changed controls.
+ *
+ * @param {string} templateName - Name of the selected template.
+ * @param {Object<string, Object>} changes - Changed settings keyed by control ID, as from `collectChanges`.
+ * @returns {string} The hash, including the leading `#`.
+ */
+export function encodeShareHash(templateName, changes) {
+    const controls = Object.entries(changes).map(([id, settings]) => [
+        id,
+        Object.fromEntries(Object.entries(shortKeys)
+            .filter(([key]) => key in settings)
+            .map(([key, short]) => [short, settings[key]]))
+    ]);
+
+    const payload = toBase64Url(JSON.stringify({t: templateName, c: controls}));
+    return `#${hashParam}=${SHARE_FORMAT_VERSION}.${payload}`;
+}
+
+/**
+ * Reads a URL hash produced by `encodeShareHash`.
+ *
+ * @param {string} hash - The URL hash, with or without the leading `#`.
+ * @returns {?{template: string, changes: Object<string, Object>}} The shared state, or null if the
+ *          hash holds no shared state, is malformed, or uses another format version.
+ */
+export function decodeShareHash(hash) {
+    const encoded = new URLSearchParams(hash.replace(/^#/, '')).get(hashParam);
+    if (!encoded) return null;
+
+    const [version, payload] = encoded.split('.', 2);
+    if (Number(version) !== SHARE_FORMAT_VERSION) {
+        console.warn(`[shareLink] Ignoring shared link with unsupported format version "${version}".`);
+        return null;
+    }
+
+    let data;
+    try {
+        data = JSON.parse(fromBase64Url(payload ?? ''));
+    } catch (error) {
+        console.warn("[shareLink] Ignoring shared link that could not be decoded:", error);
+        return null;
+    }
+
+    if (typeof data?.t !== 'string' || !Array.isArray(data.c)) {
+        console.warn("[shareLink] Ignoring shared link with an unexpected payload.", data);
+        return null;
+    }
+
+    const longKeys = Object.fromEntries(Object.entries(shortKeys).map(([key, short]) => [short, key]));
+    const changes = {};
+
+    for (const item of data.c) {
+        if (!Array.isArray(item) || typeof item[0] !== 'string' || typeof item[1] !== 'object' || !item[1]) {
+            console.warn("[shareLink] Skipping malformed control entry in shared link.", item);
+            continue;
+        }
+        changes[item[0]] = Object.fromEntries(Object.entries(item[1])
+            .filter(([short]) => short in longKeys)
+            .map(([short, value]) => [longKeys[short], value]));
+    }
+
+    debugLog("decodeShareHash: Decoded shared state", data.t, changes);
+    return {template: data.t, changes};
+}
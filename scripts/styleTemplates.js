@@ -0,0 +1,521 @@
+/**
+ * @module styleTemplates
+ * @description
+ * Holds the named style templates the editor builds its controls from, and converts
+ * between those templates and the live controls on the page.
+ *
+ * A template has the same groups/sections/selector shape used by `style-templates.json`:
+ * ```json
+ * { "name": "Default", "groups": [ { "name": "Page", "sections": [
+ *     { "name": "Page Settings", "body": { "font-size": { "type": "FontSize", ... } } }
+ * ] } ] }
+ * ```
+ *
+ * A template may instead declare `"extends": "<parent name>"` and list only the groups,
+ * sections and selector/property entries it changes. The parent chain is merged into a
+ * complete template when the templates are loaded (see `resolveInheritance`):
+ * - Groups are matched by `name`, then sections within them by `name`; unmatched ones are appended.
+ * - Selector/property entries are merged field by field, so `{"value": 32}` only changes the value.
+ * - An entry with a different `type` than its parent's replaces the parent entry entirely.
+ *
+ * An entry normally styles the selector it is listed under. It may name further selectors
+ * in `"selectors"`, e.g. `"h1": {"color": {"type": "Color", "selectors": ["h2", "h3"], ...}}`
+ * builds one control that styles all three (see `entrySelectors`).
+ *
+ * An entry may also carry a `"print"` object holding the fields that differ when printing,
+ * e.g. `{"type": "Color", "value": "#FF0000", "print": {"value": "#000000"}}`. The editor builds
+ * a second control for those values (see `printEntry`).
+ *
+ * Exports:
+ * - `StyleTemplates`: Collection of templates with a "current" template selection.
+ * - `createStyleTemplatesProxy`: Exposes the current template's keys directly on the collection.
+ * - `loadJsonFile`: Fetches and parses a JSON file.
+ * - `templatesFromJson`: Extracts templates from a parsed templates document.
+ * - `mergeTemplate`: Merges an extending template onto its parent.
+ * - `resolveInheritance`: Resolves the `extends` chains of a list of templates.
+ * - `templateEntries`: Iterates over the selector/property control entries of a template.
+ * - `entrySelectors`: Returns the selectors a template entry's control styles.
+ * - `printEntry`: Returns the settings a template entry uses for print.
+ * - `readControlSettings`: Reads a style control's state back into a template entry.
+ * - `diffControlSettings`: Lists the control settings that differ from a set of defaults.
+ * - `applyControlSettings`: Applies a template entry's settings to an existing style control.
+ * - `captureTemplate`: Builds a new template from the current state of the style controls.
+ * - `exportTemplate`: Offers a template as a downloadable JSON file.
+ *
+ * @example
+ * import { StyleTemplates, captureTemplate } from './styleTemplates.js';
+ *
+ * const templates = new StyleTemplates(json.templates);
+ * templates.addTemplate(captureTemplate('My Look', templates.getCurrentTemplate()));
+ */
+
+import {debugLog, setDebug} from "./debugLog.js";
+import {generateID} from "./controlUtils.js";
+import {downloadTextFile, sanitizeId} from "./utilities.js";
+
+// Disable debug logging by default.
+// Call setDebug(true) externally to enable.
+setDebug(false);
+
+const mkErr = (msg) => {
+    throw new Error(`[StyleTemplates] ${msg}`);
+};
+
+/**
+ * Control properties copied into a template entry, in the order they are written.
+ * Properties a control does not implement are skipped.
+ * @type {string[]}
+ */
+const settingKeys = ['label', 'units', 'min', 'max', 'value', 'fontStyle', 'linked', 'locked'];
+
+/**
+ * Control properties that make up a control's state, in the order they are applied.
+ * @type {string[]}
+ */
+const stateKeys = settingKeys.filter(key => key !== 'label');
+
+/**
+ * Template entry fields that describe how a control is built rather than its state.
+ * They are copied from the template instead of being read back from the control.
+ * @type {string[]}
+ */
+const layoutKeys = ['selectors', 'options', 'display', 'ranges', 'swatches', 'contrastWith', 'fonts'];
+
+export class StyleTemplates {
+    constructor(templates = []) {
+        this.templates = templates; // Accept initial templates optionally
+        this.userTemplateNames = new Set(); // Names of templates added through addTemplate()
+        this.setCurrentTemplate('Default');
+    }
+
+    // Return an array of all template names
+    getTemplateNames() {
+        return this.templates.map(template => template.name);
+    }
+
+    // Set currentDefault with fallback logic
+    setCurrentTemplate(name) {
+        const names = this.getTemplateNames();
+
+        if (names.includes(name)) {
+            this.currentDefault = name;
+        } else if (names.includes('Default')) {
+            this.currentDefault = 'Default';
+        } else if (names.length > 0) {
+            this.currentDefault = names[0];
+        } else {
+            this.currentDefault = null;
+        }
+    }
+
+    getCurrentTemplate() {
+        return this.templates.find(t => t.name === this.currentDefault) || null;
+    }
+
+    /**
+     * Returns `name` if no template uses it yet, otherwise the first free `name (n)` variant.
+     *
+     * @param {string} name
+     * @returns {string}
+     */
+    uniqueName(name) {
+        const names = this.getTemplateNames();
+        if (!names.includes(name)) return name;
+
+        let n = 2;
+        while (names.includes(`${name} (${n})`)) n++;
+        return `${name} (${n})`;
+    }
+
+    /**
+     * Returns the templates that were added through `addTemplate()` rather than loaded
+     * with the collection.
+     *
+     * @returns {Object[]}
+     */
+    getUserTemplates() {
+        return this.templates.filter(t => this.userTemplateNames.has(t.name));
+    }
+
+    /**
+     * Adds a user template to the collection.
+     *
+     * @param {Object} template - A template object with a `name` and `groups`.
+     * @param {boolean} [overwrite=false] - If true, replaces an existing template with the same name.
+     * @throws {Error} If the name is already taken and `overwrite` is false.
+     * @returns {Object} The stored template.
+     */
+    addTemplate(template, overwrite = false) {
+        const index = this.templates.findIndex(t => t.name === template.name);
+
+        if (index !== -1) {
+            if (!overwrite) mkErr(`A template named "${template.name}" already exists.`);
+            this.templates[index] = template;
+        } else {
+            this.templates.push(template);
+        }
+        this.userTemplateNames.add(template.name);
+
+        debugLog(`StyleTemplates: Added template "${template.name}"`);
+        return template;
+    }
+}
+
+export function createStyleTemplatesProxy(styleTemplatesInstance) {
+    return new Proxy(styleTemplatesInstance, {
+        get(target, prop, receiver) {
+            // If prop is a real method or property of the class, use it
+            if (prop in target) {
+                return Reflect.get(target, prop, receiver);
+            }
+
+            // Otherwise, try to fetch from the current template
+            const current = target.getCurrentTemplate();
+            if (current && prop in current) {
+                return current[prop];
+            }
+
+            return undefined;
+        }
+    });
+}
+
+export async function loadJsonFile(filename) {
+    try {
+        const response = await fetch(filename);
+        if (response.ok) {
+            const jsonString = await response.text();
+            return JSON.parse(jsonString);
+        } else {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+    } catch (error) {
+        console.error("Error loading or parsing JSON file:", error);
+        throw error;
+    }
+}
+
+/**
+ * Extracts the templates from a parsed templates document.
+ *
+ * Accepts the `style-templates.json` shape (`{templates: [...]}`), a bare array of
+ * templates, or a single template object. The templates themselves are not checked here;
+ * see the templateValidator module.
+ *
+ * @param {any} data - Parsed JSON.
+ * @returns {Object[]} Deep copies of the templates found.
+ * @throws {Error} If the document does not contain any templates.
+ */
+export function templatesFromJson(data) {
+    let templates;
+
+    if (Array.isArray(data)) {
+        templates = data;
+    } else if (data && Array.isArray(data.templates)) {
+        templates = data.templates;
+    } else if (data && typeof data === 'object' && 'groups' in data) {
+        templates = [data];
+    } else {
+        mkErr(`No templates found in JSON document.`);
+    }
+
+    return templates.map(template => structuredClone(template));
+}
+
+/**
+ * Merges an extending template onto its (already resolved) parent.
+ *
+ * @param {Object} parent - The complete parent template.
+ * @param {Object} child - The extending template, listing only what it changes.
+ * @returns {Object} A complete template named after the child, without an `extends` key.
+ */
+export function mergeTemplate(parent, child) {
+    const {extends: _parentName, groups: childGroups = [], ...childRest} = child;
+    const merged = {...structuredClone(parent), ...structuredClone(childRest)};
+
+    for (const childGroup of childGroups) {
+        const group = merged.groups.find(g => g.name === childGroup?.name);
+        if (!group || !Array.isArray(childGroup.sections)) {
+            merged.groups.push(structuredClone(childGroup));
+            continue;
+        }
+
+        for (const childSection of childGroup.sections) {
+            const section = group.sections.find(s => s.name === childSection?.name);
+            if (!section) {
+                group.sections.push(structuredClone(childSection));
+                continue;
+            }
+
+            for (const [cssSelector, params] of Object.entries(childSection)) {
+                if (cssSelector === 'name') continue;
+                if (typeof params !== 'object' || params === null || !section[cssSelector]) {
+                    section[cssSelector] = structuredClone(params);
+                    continue;
+                }
+
+                for (const [cssProperty, entry] of Object.entries(params)) {
+                    const inherited = section[cssSelector][cssProperty];
+                    const sameType = inherited && entry && (!entry.type || entry.type === inherited.type);
+                    section[cssSelector][cssProperty] = sameType
+                        ? {...inherited, ...structuredClone(entry)}
+                        : structuredClone(entry);
+                }
+            }
+        }
+    }
+
+    return merged;
+}
+
+/**
+ * Resolves the `extends` chains of a list of templates into complete templates.
+ *
+ * Parents are looked up first in `templates` itself, then in `available`. Templates whose
+ * parent is missing, whose chain loops back on itself, or whose parent failed to resolve
+ * are reported and left as `null` in the result.
+ *
+ * @param {any[]} templates - Templates as written in a templates document.
+ * @param {Object[]} [available=[]] - Already loaded, complete templates that may be extended.
+ * @returns {{resolved: Array<?Object>, errors: Array<{path: string, message: string}>}}
+ *          `resolved` lines up index for index with `templates`.
+ */
+export function resolveInheritance(templates, available = []) {
+    const errors = [];
+    const resolved = new Array(templates.length).fill(undefined);
+
+    const indexOf = name => templates.findIndex(t => t?.name === name);
+
+    const resolve = (i, chain) => {
+        if (resolved[i] !== undefined) return resolved[i];
+
+        const template = templates[i];
+        const parentName = template?.extends;
+        const path = `templates[${i}].extends`;
+
+        if (parentName === undefined) {
+            resolved[i] = template;
+            return template;
+        }
+
+        if (typeof parentName !== 'string' || !parentName.trim()) {
+            errors.push({path, message: `must be the name of another template.`});
+            return resolved[i] = null;
+        }
+
+        if (chain.includes(template.name) || parentName === template.name) {
+            const loop = parentName === template.name ? [template.name, parentName] : [...chain, template.name];
+            errors.push({path, message: `inheritance cycle: ${loop.join(' → ')}.`});
+            return resolved[i] = null;
+        }
+
+        let parent;
+        const parentIndex = indexOf(parentName);
+        if (parentIndex !== -1) {
+            parent = resolve(parentIndex, [...chain, template.name]);
+            if (!parent) {
+                // A cycle reports itself once, at the template that closed it
+                if (resolved[i] === undefined) {
+                    errors.push({path, message: `parent template "${parentName}" could not be loaded.`});
+                }
+                return resolved[i] ??= null;
+            }
+        } else {
+            parent = available.find(t => t.name === parentName);
+            if (!parent) {
+                errors.push({path, message: `parent template "${parentName}" does not exist.`});
+                return resolved[i] = null;
+            }
+        }
+
+        if (!Array.isArray(parent.groups)) {
+            errors.push({path, message: `parent template "${parentName}" has no groups to extend.`});
+            return resolved[i] = null;
+        }
+
+        debugLog(`resolveInheritance: "${template.name}" extends "${parentName}"`);
+        return resolved[i] = mergeTemplate(parent, template);
+    };
+
+    templates.forEach((_, i) => resolve(i, []));
+
+    return {resolved, errors};
+}
+
+/**
+ * Returns the selectors a template entry's control styles: the selector it is listed under,
+ * followed by any listed in its `selectors` field. Pass the result to `generateID`.
+ *
+ * @param {string} cssSelector - The selector the entry is listed under.
+ * @param {Object} entry - A selector/property entry of a template.
+ * @returns {string[]}
+ */
+export function entrySelectors(cssSelector, entry) {
+    return [cssSelector, ...(entry.selectors ?? [])];
+}
+
+/**
+ * Iterates over the selector/property control entries of a template, in template order.
+ *
+ * @param {Object} template - A complete template.
+ * @yields {{cssSelector: string, cssProperty: string, entry: Object, selectors: string[]}}
+ *         `selectors` lists every selector the entry's control styles.
+ */
+export function* templateEntries(template) {
+    for (const group of template.groups) {
+        for (const section of group.sections) {
+            for (const [cssSelector, params] of Object.entries(section)) {
+                if (cssSelector === 'name') continue;
+
+                for (const [cssProperty, entry] of Object.entries(params)) {
+                    if (cssProperty !== 'name') {
+                        yield {cssSelector, cssProperty, entry, selectors: entrySelectors(cssSelector, entry)};
+                    }
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Returns the settings a template entry uses for print: the entry with its `print`
+ * overrides applied, and without the `print` key itself.
+ *
+ * @param {Object} entry - A selector/property entry of a template.
+ * @returns {Object}
+ */
+export function printEntry(entry) {
+    const {print = {}, ...screen} = entry;
+    return {...screen, ...print};
+}
+
+/**
+ * Reads a style control's current state back into a template entry.
+ *
+ * @param {HTMLElement} control - A style control created by `generateControl`.
+ * @returns {Object} An entry such as `{type, label, units, min, max, value, locked}`.
+ */
+export function readControlSettings(control) {
+    const settings = {type: control.dataset.control};
+
+    for (const key of settingKeys) {
+        if (key in control) settings[key] = control[key];
+    }
+
+    return settings;
+}
+
+/**
+ * Lists the control settings that differ from a set of defaults.
+ *
+ * Strings compare case-insensitively, since controls may normalize the case of values such
+ * as hex colors. Arrays and objects compare by their contents. When the units differ, the range and value are always included, because
+ * they are only meaningful in the units they were read in.
+ *
+ * @param {Object} settings - Settings as produced by `readControlSettings`.
+ * @param {Object} defaults - The settings to compare against, e.g. a template entry.
+ * @returns {Object} The differing fields, other than `label`.
+ */
+export function diffControlSettings(settings, defaults) {
+    const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+    const same = (a, b) => {
+        if (typeof a === 'string' && typeof b === 'string') return a.toLowerCase() === b.toLowerCase();
+        if (Array.isArray(a) && Array.isArray(b)) return a.length === b.length && a.every((item, i) => same(item, b[i]));
+        if (isObject(a) && isObject(b)) {
+            const keys = Object.keys(a);
+            return keys.length === Object.keys(b).length && keys.every(key => same(a[key], b[key]));
+        }
+        return a === b;
+    };
+    // Fields a template entry may leave out, at the value controls then use
+    const base = {fontStyle: 'normal', linked: false, locked: false, ...defaults};
+    const changed = {};
+
+    for (const key of stateKeys) {
+        if (key in settings && !same(settings[key], base[key])) changed[key] = settings[key];
+    }
+
+    if ('units' in changed) {
+        for (const key of ['min', 'max', 'value']) {
+            if (key in settings) changed[key] = settings[key];
+        }
+    }
+
+    return changed;
+}
+
+/**
+ * Applies a template entry's settings to an existing style control without changing its defaults,
+ * so the control's `reset()` still returns to the template values.
+ *
+ * Units are applied before the range and the range before the value, matching the order
+ * the controls' own `reset()` uses. Settings the control does not implement are ignored.
+ *
+ * @param {HTMLElement} control - A style control created by `generateControl`.
+ * @param {Object} settings - An entry as produced by `readControlSettings`.
+ */
+export function applyControlSettings(control, settings) {
+    for (const key of stateKeys) {
+        if (key in settings && key in control) control[key] = settings[key];
+    }
+}
+
+/**
+ * Builds a new template from the current state of the style controls.
+ *
+ * The groups, sections and selectors of `skeleton` (normally the template the controls were
+ * built from) are kept, and every selector/property entry is replaced by the settings read
+ * from its matching control. The entry's layout fields, such as `selectors` and `options`,
+ * are kept as they are. Print controls that differ from their screen control are saved as
+ * the entry's `print` overrides. Entries without a matching control are copied unchanged.
+ *
+ * @param {string} name - Name of the new template.
+ * @param {Object} skeleton - Template whose layout the new template copies.
+ * @param {(id: string) => ?HTMLElement} [findControl] - Looks up a control by ID.
+ * @returns {Object} The new template.
+ */
+export function captureTemplate(name, skeleton, findControl = id => document.getElementById(id)) {
+    const groups = skeleton.groups.map(group => ({
+        ...structuredClone(group),
+        sections: group.sections.map(section => Object.fromEntries(
+            Object.entries(section).map(([cssSelector, params]) => {
+                if (cssSelector === 'name') return [cssSelector, params];
+
+                return [cssSelector, Object.fromEntries(
+                    Object.entries(params).map(([cssProperty, entry]) => {
+                        if (cssProperty === 'name') return [cssProperty, entry];
+
+                        const selectors = entrySelectors(cssSelector, entry);
+                        const control = findControl(generateID(selectors, cssProperty));
+                        if (!control) return [cssProperty, structuredClone(entry)];
+
+                        const settings = readControlSettings(control);
+                        for (const key of layoutKeys) {
+                            if (key in entry) settings[key] = structuredClone(entry[key]);
+                        }
+
+                        const printControl = findControl(generateID(selectors, cssProperty, 'print'));
+                        const print = printControl ? diffControlSettings(readControlSettings(printControl), settings) : {};
+
+                        return [cssProperty, Object.keys(print).length ? {...settings, print} : settings];
+                    })
+                )];
+            })
+        ))
+    }));
+
+    return {name, groups};
+}
+
+/**
+ * Offers a template as a downloadable JSON file in the `style-templates.json` format,
+ * so it can be imported again or merged into the bundled templates.
+ *
+ * @param {Object} template - The template to export.
+ * @returns {string} The exported JSON text.
+ */
+export function exportTemplate(template) {
+    const json = JSON.stringify({templates: [template]}, null, 2);
+    downloadTextFile(json, `${sanitizeId(template.name) || 'template'}.json`, 'application/json');
+    return json;
+}
@@ -0,0 +1,354 @@
+/**
+ * @module templateValidator
+ * @description
+ * Checks a style templates document (the `style-templates.json` shape) before any controls
+ * are built from it, and reports every problem found by its JSON path, e.g.
+ * `templates[1].groups[0].sections[0].body.font-size.max`.
+ *
+ * Each control entry is checked against:
+ * - {@link ControlTypes}: the `type` must name a registered `style` control.
+ * - The generator's `schema` metadata: required fields, field types, enums and bounds.
+ * - The generator's own `setDefaults`, which catches the rules that span several fields
+ *   (e.g. `min` ≤ `value` ≤ `max`). It is called on a detached control built once for each
+ *   control type and CSS property, and those controls are destroyed when validation ends.
+ * - `selectors`, if given, must list further CSS selectors for the control to style.
+ * - The same checks again for the entry's `print` overrides, if it has any.
+ *
+ * Templates with problems are left out of the result instead of aborting the whole load.
+ * Templates that `extends` another are merged with their parent chain before being checked.
+ *
+ * Exports:
+ * - `validateTemplates`: Validates a templates document.
+ * - `formatValidationErrors`: Formats reported problems as readable text.
+ *
+ * @example
+ * import { validateTemplates, formatValidationErrors } from './templateValidator.js';
+ *
+ * const {templates, errors} = validateTemplates(jsonData);
+ * if (errors.length) console.warn(formatValidationErrors(errors));
+ */
+
+import {debugLog, setDebug} from "./debugLog.js";
+import {ControlTypes, getControlInfo, generateControl} from "./controls.js";
+import {entrySelectors, printEntry, resolveInheritance} from "./styleTemplates.js";
+
+// Disable debug logging by default.
+// Call setDebug(true) externally to enable.
+setDebug(false);
+
+/**
+ * A single problem found in a templates document.
+ *
+ * @typedef {Object} ValidationError
+ * @property {string} path - JSON path of the offending value.
+ * @property {string} message - Description of the problem.
+ */
+
+/**
+ * Appends a key to a JSON path, using bracket notation for keys that would be ambiguous.
+ *
+ * @param {string} path
+ * @param {string|number} key
+ * @returns {string}
+ */
+function joinPath(path, key) {
+    if (typeof key === 'number') return `${path}[${key}]`;
+    if (/^[\w-]+$/.test(key)) return path ? `${path}.${key}` : key;
+    return `${path}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Returns true for plain (non-array, non-null) objects.
+ *
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Checks a single value against a schema property description.
+ *
+ * The `numeric` type takes a number or a string starting with one, which `setDefaults`
+ * reads with `parseFloat`; templates written before schemas were checked use both.
+ *
+ * @param {any} value
+ * @param {{type?: string, enum?: any[], minimum?: number, maximum?: number}} rule
+ * @returns {?string} A problem description, or null if the value is acceptable.
+ */
+function checkProperty(value, rule) {
+    if (rule.type === 'numeric') {
+        const number = typeof value === 'string' ? parseFloat(value) : value;
+        if (typeof number !== 'number' || !Number.isFinite(number)) {
+            return `must be a number or a numeric string (got ${JSON.stringify(value)}).`;
+        }
+        return checkProperty(number, {...rule, type: 'number'});
+    }
+    if (rule.type && typeof value !== rule.type) {
+        return `must be a ${rule.type} (got ${JSON.stringify(value)}).`;
+    }
+    if (rule.type === 'number' && !Number.isFinite(value)) {
+        return `must be a finite number (got ${value}).`;
+    }
+    if (rule.type === 'string' && !value.trim()) {
+        return `must not be empty.`;
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+        return `must be one of ${rule.enum.map(v => JSON.stringify(v)).join(', ')} (got ${JSON.stringify(value)}).`;
+    }
+    if (rule.minimum !== undefined && value < rule.minimum) {
+        return `must be at least ${rule.minimum} (got ${value}).`;
+    }
+    if (rule.maximum !== undefined && value > rule.maximum) {
+        return `must be at most ${rule.maximum} (got ${value}).`;
+    }
+    return null;
+}
+
+/**
+ * Checks settings with the `setDefaults` of detached controls.
+ *
+ * @typedef {Object} DefaultsChecker
+ * @property {function(string, string, string, Object): void} check - Takes the control type,
+ *           CSS selector, CSS property and settings; throws the control's error if it rejects them.
+ * @property {function(): void} dispose - Destroys the controls built so far.
+ */
+
+/**
+ * Creates a checker that builds one control per control type and CSS property, since some
+ * controls accept different values depending on the property (e.g. negative margins but not
+ * negative padding). Each `setDefaults` call is checked on its own, so the controls can be reused.
+ *
+ * @returns {DefaultsChecker}
+ */
+function createDefaultsChecker() {
+    const controls = new Map();
+
+    return {
+        check(type, cssSelector, cssProperty, settings) {
+            const key = `${type}\n${cssProperty}`;
+            if (!controls.has(key)) controls.set(key, generateControl(type, cssSelector, cssProperty));
+            controls.get(key).setDefaults(settings);
+        },
+        dispose() {
+            // Controls with a Choices.js dropdown must release it
+            controls.forEach(control => control.destroy?.());
+            controls.clear();
+        }
+    };
+}
+
+/**
+ * Validates one selector/property control entry.
+ *
+ * @param {any} entry - The control entry.
+ * @param {string} cssSelector
+ * @param {string} cssProperty
+ * @param {string} path - JSON path of the entry.
+ * @param {ValidationError[]} errors - Receives any problems found.
+ * @param {DefaultsChecker} checker - Checks the settings with the control's `setDefaults`.
+ */
+function validateControlEntry(entry, cssSelector, cssProperty, path, errors, checker) {
+    const report = (p, message) => errors.push({path: p, message});
+
+    if (!isObject(entry)) {
+        report(path, `must be an object describing a control.`);
+        return;
+    }
+
+    const typePath = joinPath(path, 'type');
+    if (!Object.values(ControlTypes).includes(entry.type)) {
+        const styleTypes = Object.values(ControlTypes).filter(type => getControlInfo(type).use === 'style');
+        report(typePath, `unknown control type ${JSON.stringify(entry.type)}. ` +
+            `Known types: ${styleTypes.join(', ')}.`);
+        return;
+    }
+
+    const {use, schema} = getControlInfo(entry.type);
+    if (use !== 'style') {
+        report(typePath, `"${entry.type}" is not a style control and cannot be used in a template.`);
+        return;
+    }
+
+    if (entry.selectors !== undefined &&
+        (!Array.isArray(entry.selectors) || !entry.selectors.every(s => typeof s === 'string' && s.trim()))) {
+        report(joinPath(path, 'selectors'), `must be an array of non-empty CSS selectors.`);
+        return;
+    }
+
+    const checkSettings = (settings, settingsPath, fieldsPath = settingsPath) => {
+        const before = errors.length;
+
+        if (settings.label !== undefined && typeof settings.label !== 'string') {
+            report(joinPath(fieldsPath, 'label'), `must be a string.`);
+        }
+        if (settings.locked !== undefined && typeof settings.locked !== 'boolean') {
+            report(joinPath(fieldsPath, 'locked'), `must be true or false.`);
+        }
+
+        if (schema) {
+            for (const key of schema.required ?? []) {
+                if (settings[key] === undefined) report(joinPath(fieldsPath, key), `is required by ${entry.type}.`);
+            }
+            for (const [key, rule] of Object.entries(schema.properties ?? {})) {
+                if (settings[key] === undefined) continue;
+                const problem = checkProperty(settings[key], rule);
+                if (problem) report(joinPath(fieldsPath, key), problem);
+            }
+        }
+
+        // Field checks passed: let the control itself confirm the combination is usable
+        if (errors.length === before) {
+            try {
+                checker.check(entry.type, entrySelectors(cssSelector, entry), cssProperty, settings);
+            } catch (error) {
+                report(settingsPath, error.message);
+            }
+        }
+    };
+
+    checkSettings(entry, path);
+
+    // Print overrides are checked as the complete settings they produce
+    if (entry.print !== undefined) {
+        const printPath = joinPath(path, 'print');
+        const fixedKeys = isObject(entry.print) ? ['type', 'selectors'].filter(key => key in entry.print) : [];
+        if (!isObject(entry.print)) {
+            report(printPath, `must be an object of fields that differ when printing.`);
+        } else if (fixedKeys.length) {
+            fixedKeys.forEach(key => report(joinPath(printPath, key), `cannot be overridden for print.`));
+        } else {
+            checkSettings(printEntry(entry), printPath, printPath);
+        }
+    }
+}
+
+/**
+ * Validates a single template.
+ *
+ * @param {any} template
+ * @param {string} path - JSON path of the template.
+ * @param {ValidationError[]} errors - Receives any problems found.
+ * @param {DefaultsChecker} checker - Checks settings with the controls' `setDefaults`.
+ */
+function validateTemplate(template, path, errors, checker) {
+    const report = (p, message) => errors.push({path: p, message});
+
+    if (!isObject(template)) {
+        report(path, `must be an object.`);
+        return;
+    }
+    if (typeof template.name !== 'string' || !template.name.trim()) {
+        report(joinPath(path, 'name'), `must be a non-empty string.`);
+    }
+    if (!Array.isArray(template.groups)) {
+        report(joinPath(path, 'groups'), `must be an array.`);
+        return;
+    }
+
+    template.groups.forEach((group, g) => {
+        const groupPath = joinPath(joinPath(path, 'groups'), g);
+
+        if (!isObject(group)) {
+            report(groupPath, `must be an object.`);
+            return;
+        }
+        if (typeof group.name !== 'string' || !group.name.trim()) {
+            report(joinPath(groupPath, 'name'), `must be a non-empty string.`);
+        }
+        if (!Array.isArray(group.sections)) {
+            report(joinPath(groupPath, 'sections'), `must be an array.`);
+            return;
+        }
+
+        group.sections.forEach((section, s) => {
+            const sectionPath = joinPath(joinPath(groupPath, 'sections'), s);
+
+            if (!isObject(section)) {
+                report(sectionPath, `must be an object.`);
+                return;
+            }
+            if (typeof section.name !== 'string') {
+                report(joinPath(sectionPath, 'name'), `must be a string.`);
+            }
+
+            Object.entries(section).forEach(([cssSelector, params]) => {
+                if (cssSelector === 'name') return;
+                const selectorPath = joinPath(sectionPath, cssSelector);
+
+                if (!isObject(params)) {
+                    report(selectorPath, `must be an object mapping CSS properties to controls.`);
+                    return;
+                }
+
+                Object.entries(params).forEach(([cssProperty, entry]) => {
+                    if (cssProperty === 'name') return;
+                    validateControlEntry(entry, cssSelector, cssProperty, joinPath(selectorPath, cssProperty), errors, checker);
+                });
+            });
+        });
+    });
+}
+
+/**
+ * Validates a style templates document.
+ *
+ * Every problem is reported; templates with at least one problem (or with a name already
+ * used by an earlier template) are left out of the returned list.
+ *
+ * Templates that `extends` another are merged with their parent chain first, and the merged
+ * template is what gets validated and returned; paths inside it refer to the merged layout.
+ *
+ * @param {any} data - A parsed document of the form `{templates: [...]}`.
+ * @param {Object[]} [available=[]] - Already loaded templates the document's templates may extend.
+ * @returns {{templates: Object[], errors: ValidationError[]}} The usable templates and all problems found.
+ */
+export function validateTemplates(data, available = []) {
+    const errors = [];
+    const templates = [];
+
+    if (!isObject(data) || !Array.isArray(data.templates)) {
+        errors.push({path: 'templates', message: `must be an array of templates.`});
+        return {templates, errors};
+    }
+
+    const names = new Set();
+    const checker = createDefaultsChecker();
+    const {resolved, errors: inheritanceErrors} = resolveInheritance(data.templates, available);
+    errors.push(...inheritanceErrors);
+
+    resolved.forEach((template, i) => {
+        const path = joinPath('templates', i);
+        const before = errors.length;
+
+        // Unresolvable templates have already been reported
+        if (template === null) return;
+
+        validateTemplate(template, path, errors, checker);
+
+        if (errors.length === before && names.has(template.name)) {
+            errors.push({path: joinPath(path, 'name'), message: `duplicate template name "${template.name}".`});
+        }
+
+        if (errors.length === before) {
+            names.add(template.name);
+            templates.push(template);
+        } else {
+            debugLog(`validateTemplates: Skipping invalid template at ${path}`);
+        }
+    });
+    checker.dispose();
+
+    return {templates, errors};
+}
+
+/**
+ * Formats reported problems as one line per problem.
+ *
+ * @param {ValidationError[]} errors
+ * @returns {string}
+ */
+export function formatValidationErrors(errors) {
+    return errors.map(({path, message}) => `${path}: ${message}`).join('\n');
+}
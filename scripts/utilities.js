@@ -11,6 +11,8 @@
  * - `decimalPlaces`: Calculates the number of decimal places in a given number,
  *    supporting standard and exponential notation.
  * - `capitalize`: Capitalizes the first character of a string (for name normalization or labels).
+ * - `sanitizeId`: Converts a string into a whitespace-free value usable as an HTML id.
+ * - `downloadTextFile`: Offers a string to the user as a downloaded file.
  *
  * @example
  * import { cloneWith, sanitizeSVGIds, roundTo, decimalPlaces, capitalize } from './utilities.js';
@@ -233,3 +235,34 @@ export function capitalize(str) {
 export function sanitizeId(str) {
     return str.trim().replace(/\s+/g, '_');
 }
+
+/**
+ * Offers a block of text to the user as a downloaded file.
+ *
+ * Builds a temporary object URL for the text and clicks a detached anchor pointing at it,
+ * so no popup window or server round trip is needed. The object URL is revoked afterwards.
+ *
+ * @param {string} text - The file contents.
+ * @param {string} filename - The suggested name for the saved file.
+ * @param {string} [mimeType='text/plain'] - MIME type recorded on the generated Blob.
+ *
+ * @example
+ * downloadTextFile("body { color: red; }", "styles.css", "text/css");
+ */
+export function downloadTextFile(text, filename, mimeType = 'text/plain') {
+    const blob = new Blob([text], {type: `${mimeType};charset=utf-8`});
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.style.display = 'none';
+
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser a tick to start the download before releasing the URL
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    debugLog(`downloadTextFile: Offered '${filename}' (${blob.size} bytes)`);
+}
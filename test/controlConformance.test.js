@@ -0,0 +1,20 @@
+/**
+ * Runs the control conformance checks (scripts/controlConformance.js) on every built-in
+ * style control, in a jsdom copy of the editor page. Run with `npm test`.
+ */
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import './editorPage.js';
+
+const {controlsReady, listControlTypes} = await import('../scripts/controls.js');
+const {builtInSamples, checkControl} = await import('../scripts/controlConformance.js');
+
+await controlsReady;
+
+for (const controlType of listControlTypes({use: 'style'})) {
+    test(`${controlType} keeps the control contract`, () => {
+        assert.ok(builtInSamples[controlType], `No conformance sample for "${controlType}".`);
+        assert.deepEqual(checkControl(controlType, builtInSamples[controlType]), []);
+    });
+}
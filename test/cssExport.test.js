@@ -0,0 +1,74 @@
+/**
+ * Tests how stylesheets are built from the style controls (scripts/cssExport.js).
+ * The controls are stand-ins with just the properties the module reads.
+ */
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {buildStyleSheet, groupDeclarations} from '../scripts/cssExport.js';
+import {generateID} from '../scripts/controlUtils.js';
+
+/**
+ * Returns a stand-in for a style control setting one declaration.
+ *
+ * @param {string|string[]} selector
+ * @param {string} property
+ * @param {string} value
+ * @param {string} [media='screen']
+ * @returns {Object}
+ */
+function control(selector, property, value, media = 'screen') {
+    return {id: generateID(selector, property, media), cssPair: {media}, cssDeclaration: `${property}: ${value}`};
+}
+
+test('selectors keep the order of their first control', () => {
+    const grouped = groupDeclarations([
+        control('p', 'color', 'red'),
+        control('h1', 'font-size', '32px'),
+        control('p', 'font-size', '16px')
+    ]);
+
+    assert.deepEqual(grouped, [
+        ['p', ['color: red', 'font-size: 16px']],
+        ['h1', ['font-size: 32px']]
+    ]);
+});
+
+test('a control for several selectors sets each of them', () => {
+    assert.deepEqual(groupDeclarations([control(['h1', 'h2'], 'color', 'navy')]), [
+        ['h1', ['color: navy']],
+        ['h2', ['color: navy']]
+    ]);
+});
+
+test('important adds !important to every declaration', () => {
+    const css = buildStyleSheet([control('p', 'color', 'red'), control('p', 'margin', '0')], {important: true});
+
+    assert.equal(css, 'p {\n  color: red !important;\n  margin: 0 !important;\n}');
+});
+
+test('print values that differ from the screen go in an @media print block', () => {
+    const css = buildStyleSheet([
+        control('p', 'color', 'red'),
+        control('p', 'color', 'black', 'print'),
+        control('h1', 'color', 'blue'),
+        control('h1', 'color', 'blue', 'print')
+    ]);
+
+    assert.equal(css, 'p {\n  color: red;\n}\n\nh1 {\n  color: blue;\n}\n\n' +
+        '@media print {\n  p {\n    color: black;\n  }\n}');
+});
+
+test('simulatePrint applies the print values on screen', () => {
+    const css = buildStyleSheet([control('p', 'color', 'red'), control('p', 'color', 'black', 'print')],
+        {simulatePrint: true});
+
+    assert.equal(css, 'p {\n  color: red;\n}\n\n/* Print values */\np {\n  color: black;\n}');
+});
+
+test('the header is placed in a comment that cannot be closed early', () => {
+    const css = buildStyleSheet([control('p', 'color', 'red')], {header: 'From: a */ b'});
+
+    assert.ok(css.startsWith('/*\n * From: a * / b\n */\n\n'));
+    assert.ok(css.endsWith('p {\n  color: red;\n}\n'));
+});
@@ -0,0 +1,40 @@
+/**
+ * Sets up a jsdom copy of the editor page for tests that need the style controls, and
+ * exposes its globals the way the editor's modules expect them in a browser. Import it
+ * before any of the editor's modules.
+ *
+ * Choices.js and the web fonts are turned off through the page's asset configuration, so
+ * the controls offer their lists as plain `<select>` elements and nothing is downloaded.
+ */
+
+import {readFile} from 'node:fs/promises';
+import {JSDOM} from 'jsdom';
+
+const page = new URL('../index.html', import.meta.url);
+
+const dom = new JSDOM(`<!DOCTYPE html>
+<html lang="en">
+<head>
+    <script type="application/json" id="assetConfig">{"choicesScript": [], "choicesStyles": [], "webFonts": []}</script>
+</head>
+<body></body>
+</html>`, {url: page.href, pretendToBeVisual: true});
+
+// The editor's modules expect the browser's globals
+const browserGlobals = [
+    'window', 'document', 'location', 'navigator', 'customElements',
+    'Node', 'HTMLElement', 'SVGElement', 'DocumentFragment', 'DOMParser', 'Option',
+    'Event', 'CustomEvent', 'EventTarget', 'getComputedStyle', 'requestAnimationFrame'
+];
+for (const name of browserGlobals) {
+    Object.defineProperty(globalThis, name, {value: dom.window[name], configurable: true, writable: true});
+}
+
+// Node's fetch cannot read files; the modules only fetch the editor's own assets
+globalThis.fetch = async (url) => {
+    try {
+        return new Response(await readFile(new URL(url, page)));
+    } catch {
+        return new Response(null, {status: 404});
+    }
+};
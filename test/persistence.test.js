@@ -0,0 +1,80 @@
+/**
+ * Tests reading, migrating and writing the stored editor state (scripts/persistence.js),
+ * against an in-memory stand-in for `localStorage`.
+ */
+
+import {beforeEach, test} from 'node:test';
+import assert from 'node:assert/strict';
+import {SCHEMA_VERSION, clearState, loadState, saveState, updateState} from '../scripts/persistence.js';
+
+const storageKey = 'styleEditor.state';
+
+const stored = new Map();
+globalThis.localStorage = {
+    getItem: key => stored.get(key) ?? null,
+    setItem: (key, value) => stored.set(key, String(value)),
+    removeItem: key => stored.delete(key)
+};
+
+const emptyState = {version: SCHEMA_VERSION, currentTemplate: null, templates: [], overrides: {}};
+
+beforeEach(() => stored.clear());
+
+test('nothing stored gives an empty state', () => {
+    assert.deepEqual(loadState(), emptyState);
+});
+
+test('saved state loads back, with the current schema version', () => {
+    saveState({currentTemplate: 'Large', templates: [], overrides: {Large: {'h1-_-color': {value: '#000000'}}}});
+
+    assert.equal(JSON.parse(stored.get(storageKey)).version, SCHEMA_VERSION);
+    assert.deepEqual(loadState(), {
+        version: SCHEMA_VERSION,
+        currentTemplate: 'Large',
+        templates: [],
+        overrides: {Large: {'h1-_-color': {value: '#000000'}}}
+    });
+});
+
+test('fields missing from the stored document are filled in', () => {
+    stored.set(storageKey, JSON.stringify({version: SCHEMA_VERSION, currentTemplate: 'Large'}));
+
+    assert.deepEqual(loadState(), {...emptyState, currentTemplate: 'Large'});
+});
+
+test('documents that cannot be read or migrated are ignored', (t) => {
+    t.mock.method(console, 'warn', () => {});
+
+    for (const document of [
+        '{not json',
+        JSON.stringify({currentTemplate: 'Large'}),
+        JSON.stringify({version: '1', currentTemplate: 'Large'}),
+        JSON.stringify({version: SCHEMA_VERSION + 1, currentTemplate: 'Large'}),
+        // No migration leads up from before the first version
+        JSON.stringify({version: 0, currentTemplate: 'Large'})
+    ]) {
+        stored.set(storageKey, document);
+        assert.deepEqual(loadState(), emptyState, document);
+    }
+    assert.equal(console.warn.mock.callCount(), 5);
+});
+
+test('updateState saves the changed state and returns it', () => {
+    updateState(state => {
+        state.currentTemplate = 'Large';
+    });
+    const state = updateState(state => {
+        state.overrides.Large = {'p-_-color': {value: 'red'}};
+    });
+
+    assert.deepEqual(state, {...emptyState, currentTemplate: 'Large', overrides: {Large: {'p-_-color': {value: 'red'}}}});
+    assert.deepEqual(loadState(), state);
+});
+
+test('clearState removes the stored state', () => {
+    saveState({...emptyState, currentTemplate: 'Large'});
+    clearState();
+
+    assert.equal(stored.has(storageKey), false);
+    assert.deepEqual(loadState(), emptyState);
+});
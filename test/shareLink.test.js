@@ -0,0 +1,99 @@
+/**
+ * Tests encoding looks into share links and reading them back (scripts/shareLink.js).
+ */
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {SHARE_FORMAT_VERSION, collectChanges, decodeShareHash, encodeShareHash} from '../scripts/shareLink.js';
+
+const template = {
+    name: 'Default',
+    groups: [{
+        name: 'Page', sections: [{
+            name: 'Text',
+            body: {'font-size': {type: 'FontSize', units: 'px', min: 8, max: 40, value: 16}},
+            h1: {color: {type: 'Color', value: '#000000', print: {value: '#333333'}}}
+        }]
+    }]
+};
+
+/**
+ * Returns a lookup of stand-in controls holding the given settings, keyed by control ID.
+ *
+ * @param {Object<string, Object>} controls
+ * @returns {function(string): ?Object}
+ */
+function findIn(controls) {
+    return id => controls[id] && {dataset: {control: controls[id].type}, locked: false, ...controls[id]};
+}
+
+/**
+ * Encodes a payload the way share links do, as base64url JSON.
+ *
+ * @param {any} data
+ * @returns {string}
+ */
+function payloadOf(data) {
+    return btoa(JSON.stringify(data)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+test('collectChanges lists only the fields that differ, print controls included', () => {
+    const changes = collectChanges(template, findIn({
+        'body-_-font-size': {type: 'FontSize', label: 'Size', units: 'px', min: 8, max: 40, value: 20},
+        'h1-_-color': {type: 'Color', value: '#000000'},
+        'h1-_-color-_-print': {type: 'Color', value: '#111111'}
+    }));
+
+    assert.deepEqual(changes, {
+        'body-_-font-size': {value: 20},
+        'h1-_-color-_-print': {value: '#111111'}
+    });
+});
+
+test('collectChanges sends the whole range when the units changed', () => {
+    const changes = collectChanges(template, findIn({
+        'body-_-font-size': {type: 'FontSize', units: 'em', min: 0.5, max: 2.5, value: 1}
+    }));
+
+    assert.deepEqual(changes, {'body-_-font-size': {units: 'em', min: 0.5, max: 2.5, value: 1}});
+});
+
+test('a hash decodes to the template and changes it was made from', () => {
+    const changes = {
+        'body-_-font-size': {units: 'em', min: 0.5, max: 2.5, value: 1, locked: true},
+        'h1-_-color-_-print': {value: '#111111'}
+    };
+    const hash = encodeShareHash('Größer – Print', changes);
+
+    assert.match(hash, new RegExp(`^#style=${SHARE_FORMAT_VERSION}\\.[\\w-]+$`));
+    assert.deepEqual(decodeShareHash(hash), {template: 'Größer – Print', changes});
+    assert.deepEqual(decodeShareHash(hash.slice(1)), {template: 'Größer – Print', changes});
+});
+
+test('the same settings give the same hash whatever order their fields are in', () => {
+    assert.equal(
+        encodeShareHash('Default', {'p-_-color': {value: 'red', locked: true}}),
+        encodeShareHash('Default', {'p-_-color': {locked: true, value: 'red'}})
+    );
+});
+
+test('hashes without a look, of another version or that cannot be read are ignored', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const payload = encodeShareHash('Default', {}).split('.')[1];
+
+    assert.equal(decodeShareHash(''), null);
+    assert.equal(decodeShareHash('#section-2'), null);
+    assert.equal(decodeShareHash(`#style=${SHARE_FORMAT_VERSION + 1}.${payload}`), null);
+    assert.equal(decodeShareHash(`#style=${SHARE_FORMAT_VERSION}.@@`), null);
+    assert.equal(decodeShareHash(`#style=${SHARE_FORMAT_VERSION}.${payloadOf([1, 2])}`), null);
+});
+
+test('malformed control entries and unknown fields are skipped', (t) => {
+    t.mock.method(console, 'warn', () => {});
+    const payload = payloadOf({t: 'Default', c: [['p-_-color', {v: 'red', z: 1}], ['h1-_-color'], 5]});
+
+    assert.deepEqual(decodeShareHash(`#style=${SHARE_FORMAT_VERSION}.${payload}`), {
+        template: 'Default',
+        changes: {'p-_-color': {value: 'red'}}
+    });
+});
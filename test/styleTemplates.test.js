@@ -0,0 +1,113 @@
+/**
+ * Tests template inheritance and settings comparison (scripts/styleTemplates.js).
+ */
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {diffControlSettings, resolveInheritance} from '../scripts/styleTemplates.js';
+
+const base = {
+    name: 'Default',
+    groups: [{
+        name: 'Page', sections: [{
+            name: 'Text',
+            body: {
+                'font-size': {type: 'FontSize', units: 'px', min: 8, max: 40, value: 16},
+                color: {type: 'Color', value: '#000000'}
+            }
+        }]
+    }]
+};
+
+test('an extending template changes only the fields it lists', () => {
+    const {resolved, errors} = resolveInheritance([base, {
+        name: 'Large', extends: 'Default',
+        groups: [{name: 'Page', sections: [{name: 'Text', body: {'font-size': {value: 24}}}]}]
+    }]);
+
+    assert.deepEqual(errors, []);
+    assert.equal(resolved[0], base);
+    assert.equal(resolved[1].name, 'Large');
+    assert.equal('extends' in resolved[1], false);
+    assert.deepEqual(resolved[1].groups[0].sections[0].body, {
+        'font-size': {type: 'FontSize', units: 'px', min: 8, max: 40, value: 24},
+        color: {type: 'Color', value: '#000000'}
+    });
+    assert.equal(base.groups[0].sections[0].body['font-size'].value, 16, 'the parent is left unchanged');
+});
+
+test('entries of another type replace the parent entry, and new groups and sections are appended', () => {
+    const {resolved} = resolveInheritance([{
+        name: 'Mono', extends: 'Default',
+        groups: [
+            {name: 'Page', sections: [
+                {name: 'Text', body: {color: {type: 'Keyword', options: ['red', 'blue'], value: 'red'}}},
+                {name: 'Links', a: {color: {type: 'Color', value: '#0000ff'}}}
+            ]},
+            {name: 'Print', sections: []}
+        ]
+    }], [base]);
+
+    const [page, print] = resolved[0].groups;
+    assert.deepEqual(page.sections[0].body.color, {type: 'Keyword', options: ['red', 'blue'], value: 'red'});
+    assert.deepEqual(page.sections.map(s => s.name), ['Text', 'Links']);
+    assert.deepEqual(print, {name: 'Print', sections: []});
+});
+
+test('a chain resolves whatever order its templates are listed in', () => {
+    const {resolved, errors} = resolveInheritance([
+        {name: 'C', extends: 'B', groups: [{name: 'Page', sections: [{name: 'Text', body: {color: {value: '#333333'}}}]}]},
+        {name: 'B', extends: 'Default', groups: [{name: 'Page', sections: [{name: 'Text', body: {'font-size': {value: 20}}}]}]}
+    ], [base]);
+
+    assert.deepEqual(errors, []);
+    const body = resolved[0].groups[0].sections[0].body;
+    assert.equal(body['font-size'].value, 20);
+    assert.equal(body.color.value, '#333333');
+});
+
+test('missing parents and cycles are reported and leave the template out', () => {
+    const {resolved, errors} = resolveInheritance([
+        base,
+        {name: 'Orphan', extends: 'Nowhere', groups: []},
+        {name: 'A', extends: 'B', groups: []},
+        {name: 'B', extends: 'A', groups: []},
+        {name: 'Self', extends: 'Self', groups: []},
+        {name: 'Blank', extends: ' ', groups: []}
+    ]);
+
+    assert.deepEqual(resolved.map(t => t?.name ?? null), ['Default', null, null, null, null, null]);
+    assert.deepEqual(errors, [
+        {path: 'templates[1].extends', message: 'parent template "Nowhere" does not exist.'},
+        {path: 'templates[2].extends', message: 'inheritance cycle: A → B → A.'},
+        {path: 'templates[3].extends', message: 'parent template "A" could not be loaded.'},
+        {path: 'templates[4].extends', message: 'inheritance cycle: Self → Self.'},
+        {path: 'templates[5].extends', message: 'must be the name of another template.'}
+    ]);
+});
+
+test('diffControlSettings ignores labels, case and fields left at the values controls assume', () => {
+    const settings = {type: 'Color', label: 'Text', value: '#ABCDEF', fontStyle: 'normal', linked: false, locked: false};
+
+    assert.deepEqual(diffControlSettings(settings, {type: 'Color', label: 'Color', value: '#abcdef'}), {});
+    assert.deepEqual(diffControlSettings({...settings, locked: true}, {type: 'Color', value: '#abcdef'}), {locked: true});
+});
+
+test('diffControlSettings compares lists and objects by their contents', () => {
+    const defaults = {type: 'BoxModel', units: 'px', value: [0, 8, 0, 8]};
+
+    assert.deepEqual(diffControlSettings({type: 'BoxModel', units: 'px', value: [0, 8, 0, 8]}, defaults), {});
+    assert.deepEqual(diffControlSettings({type: 'BoxModel', units: 'px', value: [0, 8, 4, 8]}, defaults),
+        {value: [0, 8, 4, 8]});
+    assert.deepEqual(diffControlSettings({type: 'Background', value: {mode: 'color', color: '#FFF'}},
+        {type: 'Background', value: {mode: 'color', color: '#fff'}}), {});
+});
+
+test('diffControlSettings includes the range and value whenever the units changed', () => {
+    const defaults = {type: 'FontSize', units: 'px', min: 8, max: 40, value: 16};
+
+    assert.deepEqual(diffControlSettings({type: 'FontSize', units: 'px', min: 8, max: 40, value: 20}, defaults),
+        {value: 20});
+    assert.deepEqual(diffControlSettings({type: 'FontSize', units: 'em', min: 0.5, max: 2.5, value: 1}, defaults),
+        {units: 'em', min: 0.5, max: 2.5, value: 1});
+});
@@ -0,0 +1,118 @@
+/**
+ * Tests checking style template documents (scripts/templateValidator.js), in a jsdom copy of
+ * the editor page since the controls' own `setDefaults` take part in the checks.
+ */
+
+import {test} from 'node:test';
+import assert from 'node:assert/strict';
+import {readFile} from 'node:fs/promises';
+import './editorPage.js';
+
+const {controlsReady} = await import('../scripts/controls.js');
+const {formatValidationErrors, validateTemplates} = await import('../scripts/templateValidator.js');
+
+await controlsReady;
+
+/**
+ * Returns a templates document with one template holding the given body entries.
+ *
+ * @param {Object} body - Control entries keyed by CSS property, for the `body` selector.
+ * @param {Object} [fields] - Further fields of the template.
+ * @returns {Object}
+ */
+function documentWith(body, fields = {}) {
+    return {templates: [{name: 'Test', groups: [{name: 'Page', sections: [{name: 'Text', body}]}], ...fields}]};
+}
+
+const fontSize = {type: 'FontSize', units: 'px', min: 8, max: 40, value: 16};
+const path = 'templates[0].groups[0].sections[0].body';
+
+test('the shipped templates are valid', async () => {
+    const data = JSON.parse(await readFile(new URL('../style-templates.json', import.meta.url), 'utf8'));
+    const {templates, errors} = validateTemplates(data);
+
+    assert.deepEqual(errors, []);
+    assert.equal(templates.length, data.templates.length);
+});
+
+test('numbers may be written as numeric strings', () => {
+    const {templates, errors} = validateTemplates(documentWith({'font-size': {...fontSize, min: '8', value: '16'}}));
+
+    assert.deepEqual(errors, []);
+    assert.equal(templates.length, 1);
+});
+
+test('fields that break the schema are reported by their path', () => {
+    const {templates, errors} = validateTemplates(documentWith({
+        'font-size': {type: 'FontSize', units: 'px', min: 'small', value: 16, locked: 'yes'},
+        color: {type: 'Colour', value: 'red'}
+    }));
+
+    assert.deepEqual(templates, []);
+    assert.deepEqual(errors.map(error => error.path), [
+        `${path}.font-size.locked`,
+        `${path}.font-size.max`,
+        `${path}.font-size.min`,
+        `${path}.color.type`
+    ]);
+    assert.match(errors[3].message, /^unknown control type "Colour"\. Known types: .*\bColor\b/);
+});
+
+test('rules spanning several fields are checked by the control', () => {
+    const {errors} = validateTemplates(documentWith({'font-size': {...fontSize, value: 50}}));
+
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].path, `${path}.font-size`);
+    assert.match(errors[0].message, /^\[FontSize Control] \[setDefaults] value .* is outside the range/);
+});
+
+test('controls that accept different values per property are checked for their own property', () => {
+    const {errors} = validateTemplates(documentWith({
+        margin: {type: 'BoxModel', units: 'px', value: [-4, 0, 0, 0]},
+        padding: {type: 'BoxModel', units: 'px', value: [-4, 0, 0, 0]}
+    }));
+
+    assert.deepEqual(errors.map(error => error.path), [`${path}.padding`]);
+});
+
+test('print overrides are checked as the settings they produce', () => {
+    const {errors} = validateTemplates(documentWith({
+        'font-size': {...fontSize, print: {value: 60}},
+        color: {type: 'Color', value: '#000000', print: {type: 'Keyword'}}
+    }));
+
+    assert.deepEqual(errors.map(error => error.path), [`${path}.font-size.print`, `${path}.color.print.type`]);
+});
+
+test('only the templates with problems are left out', () => {
+    const valid = documentWith({'font-size': fontSize}).templates[0];
+    const {templates, errors} = validateTemplates({
+        templates: [
+            valid,
+            {...valid, name: 'Broken', groups: 'none'},
+            {...valid},
+            {name: 'Larger', extends: 'Test', groups: [{name: 'Page', sections: [{name: 'Text', body: {'font-size': {value: 20}}}]}]},
+            {name: 'Lost', extends: 'Missing', groups: []}
+        ]
+    });
+
+    assert.deepEqual(templates.map(template => template.name), ['Test', 'Larger']);
+    assert.equal(templates[1].groups[0].sections[0].body['font-size'].max, 40);
+    assert.equal(formatValidationErrors(errors), [
+        'templates[4].extends: parent template "Missing" does not exist.',
+        'templates[1].groups: must be an array.',
+        'templates[2].name: duplicate template name "Test".'
+    ].join('\n'));
+});
+
+test('validating leaves nothing behind in the page', () => {
+    const data = documentWith({
+        'font-family': {type: 'FontFamily', value: 'serif'},
+        'text-align': {type: 'Keyword', options: ['left', 'center', 'right', 'justify', 'start'], value: 'left'}
+    });
+    validateTemplates(data);
+    const elements = document.querySelectorAll('*').length;
+
+    validateTemplates(data);
+    assert.equal(document.querySelectorAll('*').length, elements);
+});